@@ -142,7 +142,9 @@ function initializeViewers() {
             autoRotateSpeed: 0.3,
             autoRotateAxis: product.autoRotateAxis,
             lightIntensity: 1,
-            initialRotation: product.initialRotation
+            initialRotation: product.initialRotation,
+            enableZoom: false, // Keep the mouse wheel scrolling the landing page
+            sharedRenderer: true // One WebGL context and animation loop for all four cards
         });
 
         // Initialize loading state
@@ -161,11 +163,12 @@ function initializeViewers() {
         Object.keys(viewers).forEach(viewerId => {
             const viewer = viewers[viewerId];
             const container = viewer.container;
-            const canvas = viewer.renderer.domElement;
+            const canvas = viewer.canvas;
 
-            // Check if canvas dimensions match container dimensions
-            if (canvas.width !== container.clientWidth * window.devicePixelRatio ||
-                canvas.height !== container.clientHeight * window.devicePixelRatio) {
+            // Check if canvas dimensions match container dimensions at the viewer's quality-capped pixel ratio
+            const pixelRatio = viewer.getQualityPixelRatio();
+            if (canvas.width !== Math.floor(container.clientWidth * pixelRatio) ||
+                canvas.height !== Math.floor(container.clientHeight * pixelRatio)) {
                 resizeNeeded = true;
                 viewer.onWindowResize();
                 console.log(`Resized ${viewerId} canvas to match container`);
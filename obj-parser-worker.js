@@ -0,0 +1,58 @@
+/**
+ * OBJ Parser Worker for OBJViewer
+ * Parses OBJ model files off the main thread so loading a product doesn't stutter scrolling
+ * or dragging, and sends the geometry back as transferable buffers
+ *
+ * Message in:  { id, buffer } - buffer is the OBJ file as an ArrayBuffer
+ * Message out: { id, meshes } - one entry per mesh, see serializeMesh()
+ *              { id, error }  - parsing failed
+ */
+
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/three.js/r128/three.min.js',
+    'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/js/loaders/OBJLoader.js'
+);
+
+/**
+ * Turn one parsed mesh into plain data, collecting its attribute buffers for transfer
+ * @param {THREE.Object3D} child - Mesh, LineSegments or Points created by OBJLoader
+ * @param {Array} transfer - Collects the ArrayBuffers to transfer
+ * @returns {Object} - { type, name, attributes: { name: { array, itemSize } }, groups, materials }
+ */
+function serializeMesh(child, transfer) {
+    const geometry = child.geometry;
+    const attributes = {};
+
+    Object.keys(geometry.attributes).forEach((name) => {
+        const attribute = geometry.attributes[name];
+        attributes[name] = { array: attribute.array, itemSize: attribute.itemSize };
+        transfer.push(attribute.array.buffer);
+    });
+
+    const materials = Array.isArray(child.material) ? child.material : [child.material];
+
+    return {
+        type: child.isLineSegments ? 'LineSegments' : (child.isPoints ? 'Points' : 'Mesh'),
+        name: child.name,
+        attributes: attributes,
+        groups: geometry.groups,
+        materials: materials.map(material => ({
+            name: material.name,
+            flatShading: material.flatShading === true,
+            vertexColors: material.vertexColors === true
+        }))
+    };
+}
+
+self.addEventListener('message', (event) => {
+    const { id, buffer } = event.data;
+
+    try {
+        const object = new THREE.OBJLoader().parse(new TextDecoder().decode(buffer));
+        const transfer = [];
+        const meshes = object.children.map(child => serializeMesh(child, transfer));
+        self.postMessage({ id, meshes }, transfer);
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
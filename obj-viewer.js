@@ -14,6 +14,29 @@
  * - Horizontal drag movement along shelf
  * - Visual selection indicators
  * - Object management (remove, clear, reorder)
+ * - serializeScene()/loadScene(): Save and restore full shelf layouts
+ * - undo()/redo(): Reversible command history for every shelf operation
+ * - setShelfTiers(): Multi-tier shelving units with per-tier width and height
+ * - setShelfDimensions()/setRulerVisible(): Real-world shelf sizes in inches or cm with a ruler
+ * - setDimensionsVisible()/getArrangementSummary(): Product dimension lines and shelf space usage
+ * - setCollisionMode(): Dragged objects stop at or push their neighbours instead of overlapping
+ * - OBJViewer.registerProduct(): Product definitions declare what snaps onto what (connectors)
+ * - Magnetic chaining: Modular Stands link edge-to-edge and move as one row (unlinkFromChain() to split)
+ * - setObjectFill(): Fill levels for card organizers that hold loose items (toploaders) instead of MagCases
+ * - Color zones: Per-product named parts (by OBJ group or split plane) colored separately,
+ *   recolorable after placement with setSceneObjectColors()
+ * - exportImage()/downloadImage()/bindImageDownload(): Off-screen PNG export at any resolution
+ * - exportGLB()/downloadGLB(): Binary glTF export of the layout (zone colors baked in)
+ * - loadModelFile(): OBJ, GLB/glTF, STL and PLY models (by extension or content) for every load path
+ * - OBJ files are parsed in a Web Worker (obj-parser-worker.js) when available
+ * - Model cache: addObjectToScene() parses each model once and shares its geometry (reference-counted)
+ * - GPU instancing: Products placed more than once are drawn as InstancedMeshes with per-instance colors and highlight
+ * - sharedRenderer option: Several viewers on a page draw through one WebGL context and animation loop
+ * - Render on demand: invalidate() requests a frame; off-screen viewers and hidden tabs don't render
+ * - Pointer Events gestures (tap, double-tap, drag, pan, pinch, long-press) for mouse, touch and pen
+ * - Keyboard manipulation: Tab selects, arrows move, Enter snaps/unsnaps, Delete removes, Escape deselects
+ * - Zoom: mouse wheel, pinch and +/- keys within min/maxCameraDistance (toward the cursor in the shelf builder)
+ * - Adaptive quality: pixel ratio and shadows step down when the frame rate drops (quality option pins a tier)
  *
  * @example
  * const viewer = new OBJViewer('viewer-container', {
@@ -40,6 +63,9 @@ class OBJViewer {
       modelColor: options.modelColor || 0x808080,
       assembledModelColor: options.assembledModelColor || options.modelColor || 0x808080,
       cameraDistance: options.cameraDistance || 5,
+      enableZoom: options.enableZoom !== false, // Mouse wheel, pinch and +/- keys
+      minCameraDistance: options.minCameraDistance || null, // Closest zoom (default: 30% of cameraDistance)
+      maxCameraDistance: options.maxCameraDistance || null, // Farthest zoom (default: 2x cameraDistance)
       enableRotation: options.enableRotation !== false,
       autoRotate: options.autoRotate || false,
       autoRotateSpeed: options.autoRotateSpeed || 0.5,
@@ -50,8 +76,21 @@ class OBJViewer {
       shelfVisible: options.shelfVisible || false,
       // Multi-object configuration (NEW)
       shelfWidth: options.shelfWidth || 18,
+      // Shelving unit tiers from bottom to top: [{ width, height }] where height is the
+      // clearance above that tier. Defaults to a single tier of shelfWidth.
+      shelfTiers: options.shelfTiers || null,
+      shelfDepth: options.shelfDepth || 2.5, // Front-to-back board depth in scene units (10in)
+      showRuler: options.showRuler || false, // Ruler along each tier's front edge
+      rulerUnit: options.rulerUnit || 'in', // 'in' or 'cm', also used for dimension labels
+      showDimensions: options.showDimensions || false, // Width/height/depth lines on the selected object
+      collisionMode: options.collisionMode || 'none', // 'none', 'block' or 'push' while dragging on the shelf
       selectionColor: options.selectionColor || 0x00ff00,
       selectionEmissive: options.selectionEmissive || 0x003300,
+      historyLimit: options.historyLimit || 50, // Maximum number of undoable operations
+      parseInWorker: options.parseInWorker !== false, // Parse OBJ files in obj-parser-worker.js when possible
+      instancing: options.instancing !== false, // Draw repeated products as GPU instances
+      sharedRenderer: options.sharedRenderer || false, // Draw through one renderer shared by the page's viewers
+      quality: options.quality || 'auto', // 'auto' follows the frame rate, or a tier name from OBJViewer.QUALITY_TIERS
       ...options
     };
 
@@ -59,6 +98,8 @@ class OBJViewer {
     this.scene = null;
     this.camera = null;
     this.renderer = null;
+    this.canvas = null; // Canvas shown in the container (the renderer's own, or a 2D canvas with sharedRenderer)
+    this.canvasContext = null; // 2D context of that canvas when drawing through the shared renderer
     this.model = null;
     this.assembledModel = null;
     this.shelf = null;
@@ -83,9 +124,14 @@ class OBJViewer {
       // ADD THESE TWO LINES for horizontal rotation limits:
       minTheta: -102 * (Math.PI / 180), // -102 degrees in radians
       maxTheta: 102 * (Math.PI / 180),  // +102 degrees in radians
-      rotationSensitivity: 0.005
+      rotationSensitivity: 0.005,
+      minRadius: this.config.minCameraDistance || this.config.cameraDistance * 0.3,
+      maxRadius: this.config.maxCameraDistance || this.config.cameraDistance * 2
     };
 
+    // Shelving unit layout (bottom tier first), built from config.shelfTiers
+    this.shelfTiers = this.buildShelfTiers(this.config.shelfTiers);
+
     // Store original product position for shelf toggle
     this.productOriginalY = 0;
     this.productBoundingBox = null;
@@ -102,6 +148,24 @@ class OBJViewer {
     // Animation frame ID for cleanup
     this.animationFrameId = null;
 
+    // Render on demand: frames are only drawn after invalidate(), and not at all while paused
+    this.needsRender = true;
+    this.isInView = true; // Container intersects the viewport (IntersectionObserver)
+    this.isPageVisible = typeof document === 'undefined' || !document.hidden; // Tab is in the foreground
+
+    // Adaptive quality: frame times are sampled while frames render back to back (see trackFrameTime)
+    this.qualityGovernor = {
+      tier: 0, // Index into OBJViewer.QUALITY_TIERS, 0 = highest
+      frameTimes: [],
+      lastFrameTime: null,
+      lastTickTime: null,
+      refreshInterval: Infinity, // Shortest gap seen between animation frames: the display's refresh interval
+      shadowType: null, // Shadow type this viewer's materials were compiled for
+      fastWindows: 0, // Consecutive sample windows with headroom
+      steppedUp: false, // Last change was a step up that hasn't been confirmed by a fast window yet
+      windowsToStepUp: OBJViewer.QUALITY_STEP_UP_WINDOWS // Grows each time a step up has to be undone
+    };
+
     // ==========================================
     // MULTI-OBJECT PROPERTIES (NEW)
     // ==========================================
@@ -114,16 +178,31 @@ class OBJViewer {
     this.objectStartX = 0;
     this.selectionIndicator = null;
 
-    // Snap-to-object properties
+    // Snap-to-object properties (what snaps onto what comes from OBJViewer.PRODUCT_DEFINITIONS)
     this.snapThreshold = 0.2; // Distance threshold for snapping (units) - reduced from 0.5 to prevent "flying" between nearby objects
-    this.snapYOffset = 0.025; // Height offset when snapped on modular stand
-
-    // Multi-slot weighted-base properties
-    this.weightedBaseSlots = new Map(); // Maps weighted-base ID -> array of slot objects
-    this.maxSlotsPerBase = 10; // Maximum MagCaseAssembled objects per weighted-base
-    this.assembledDepth = null; // Depth of MagCaseAssembled (calculated from first one added)
-    this.assembledToSlot = new Map(); // Maps assembled object ID -> { baseId, slotIndex }
+    this.snapYOffset = 0.025; // Default height offset for 'single' connectors that don't set offsetY
+
+    // Multi-slot ('row' connector) properties
+    this.weightedBaseSlots = new Map(); // Maps row-connector object ID (e.g. weighted-base) -> array of slot objects
+    this.fitDepths = new Map(); // Maps product `fits` kind -> depth of the first one added, used as row slot spacing
+    this.assembledToSlot = new Map(); // Maps snapped object ID -> { baseId, slotIndex } (slotIndex null for 'single' connectors)
+    this.chainLinks = new Map(); // Maps linked object ID -> ID of the object flush against its left side
+    this.chainLinkExclusions = new Set(); // Neighbours that can't link until the current drag moves clear of them
     this.dragMode = null; // 'shelf' or 'weighted-base' - tracks current drag behavior
+    this.dragStartPlacements = null; // Placement snapshot taken when the current drag began
+    this.isLoadingScene = false; // True while loadScene() is rebuilding the scene or has more loads queued
+    this.pendingSceneLoads = 0; // loadScene() calls that haven't finished yet
+    this.sceneLoadQueue = Promise.resolve(); // Serializes overlapping loadScene() calls
+    this.modelCache = new Map(); // Maps model path -> { promise, template, users }: parsed once, cloned per object
+    this.instanceBatches = new Map(); // Maps geometry UUID + zone count -> instanced mesh batch (see updateInstances)
+    this.instancesDirty = true; // Instance buffers must be rebuilt before the next render
+
+    // Command history for undo/redo
+    this.history = {
+      undoStack: [],
+      redoStack: [],
+      suspended: 0 // > 0 while undoing/redoing, so replayed operations aren't re-recorded
+    };
 
     this.init();
   }
@@ -145,21 +224,36 @@ class OBJViewer {
     this.enableOrbitalCamera();
 
     // Create renderer
-    this.renderer = new THREE.WebGLRenderer({ antialias: true });
-    this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
-    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2)); // Cap at 2 for performance
-    this.renderer.shadowMap.enabled = this.config.shelfVisible; // Enable shadows if shelf is initially visible
-    this.renderer.shadowMap.type = THREE.PCFSoftShadowMap; // Soft shadows for better quality
-    this.container.appendChild(this.renderer.domElement);
+    if (this.config.sharedRenderer) {
+      // Card viewers draw through one WebGL context and copy the result into their own 2D canvas
+      this.renderer = OBJViewer.attachSharedView(this);
+      this.canvas = document.createElement('canvas');
+      this.canvasContext = this.canvas.getContext('2d');
+      this.resizeCanvas(this.container.clientWidth, this.container.clientHeight);
+    } else {
+      this.renderer = new THREE.WebGLRenderer({ antialias: true });
+      this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
+      this.renderer.shadowMap.enabled = this.config.shelfVisible; // Enable shadows if shelf is initially visible
+      this.canvas = this.renderer.domElement;
+    }
+    this.container.appendChild(this.canvas);
 
     // Add lights
     this.addLights();
 
+    // Pixel ratio and shadows for the starting (or pinned) quality tier
+    this.setQuality(this.config.quality);
+
     // Create shelf
     this.createShelf();
 
+    // Instanced meshes that draw repeated products (see updateInstances)
+    this.instanceGroup = new THREE.Group();
+    this.scene.add(this.instanceGroup);
+
     // Create selection indicator (NEW)
     this.createSelectionIndicator();
+    this.dimensionAnnotations = null;
 
     // Setup mouse controls
     if (this.config.enableRotation) {
@@ -170,8 +264,19 @@ class OBJViewer {
     this.resizeHandler = () => this.onWindowResize();
     window.addEventListener('resize', this.resizeHandler);
 
-    // Start animation loop
-    this.animate();
+    // Every change the viewer announces to the page also changes what is on screen
+    this.invalidateHandler = () => {
+      this.instancesDirty = true;
+      this.invalidate();
+    };
+    OBJViewer.RENDER_EVENTS.forEach(type => this.container.addEventListener(type, this.invalidateHandler));
+
+    this.setupRenderPausing();
+
+    // Start animation loop (shared views are driven by the shared renderer's loop)
+    if (!this.config.sharedRenderer) {
+      this.animate();
+    }
   }
 
   /**
@@ -184,8 +289,7 @@ class OBJViewer {
     const directionalLight1 = new THREE.DirectionalLight(0xffffff, 0.5 * this.config.lightIntensity);
     directionalLight1.position.set(5, 5, 5);
     directionalLight1.castShadow = this.config.shelfVisible; // Only cast shadows when shelf is visible
-    directionalLight1.shadow.mapSize.width = 1024; // Shadow resolution
-    directionalLight1.shadow.mapSize.height = 1024;
+    // Shadow resolution and type come from the quality tier (see applyQualityTier)
     directionalLight1.shadow.camera.left = -5;
     directionalLight1.shadow.camera.right = 5;
     directionalLight1.shadow.camera.top = 5;
@@ -201,57 +305,96 @@ class OBJViewer {
   }
 
   /**
-   * Create a simple shelf for product display
+   * Normalize a tier configuration and compute each tier's surface height
+   * @param {Array|null} tiers - [{ width, height }] from bottom to top
+   * @returns {Array} - [{ index, width, height, topY }]
+   */
+  buildShelfTiers(tiers) {
+    const source = Array.isArray(tiers) && tiers.length > 0
+      ? tiers
+      : [{ width: this.config.shelfWidth, height: OBJViewer.DEFAULT_TIER_HEIGHT }];
+
+    let topY = OBJViewer.SHELF_TOP_Y;
+    return source.map((tier, index) => {
+      const width = Math.max(1, Number(tier.width) || this.config.shelfWidth);
+      const height = Math.max(0.5, Number(tier.height) || OBJViewer.DEFAULT_TIER_HEIGHT);
+      const built = { index, width, height, topY };
+      topY += height;
+      return built;
+    });
+  }
+
+  /**
+   * Create the shelving unit for product display (one board per tier)
    */
   createShelf() {
     const shelfGroup = new THREE.Group();
+    const maxWidth = Math.max(...this.shelfTiers.map(tier => tier.width));
+    const topTier = this.shelfTiers[this.shelfTiers.length - 1];
 
-    // Main shelf surface (20 units wide)
-    const shelfGeometry = new THREE.BoxGeometry(20, 0.15, 2.5);
     const shelfMaterial = new THREE.MeshPhongMaterial({
       color: this.config.shelfColor,
       shininess: 20
     });
-    const shelfSurface = new THREE.Mesh(shelfGeometry, shelfMaterial);
-    shelfSurface.position.y = -1.5;
-    shelfSurface.receiveShadow = true; // Allow shelf to receive shadows
-    shelfSurface.castShadow = true; // Cast shadow on wall to prevent light bleeding through
-    shelfGroup.add(shelfSurface);
-
-    // Front edge (20 units wide)
-    const edgeGeometry = new THREE.BoxGeometry(20, 0.08, 0.1);
     const edgeMaterial = new THREE.MeshPhongMaterial({
       color: this.config.shelfColor * 0.8,
       shininess: 20
     });
-    const frontEdge = new THREE.Mesh(edgeGeometry, edgeMaterial);
-    frontEdge.position.set(0, -1.54, 1.3);
-    shelfGroup.add(frontEdge);
-
-    // Support brackets (adjusted positions for wider shelf)
-    const bracketGeometry = new THREE.BoxGeometry(0.15, 0.8, 2);
     const bracketMaterial = new THREE.MeshPhongMaterial({
       color: this.config.shelfColor * 0.8,
       shininess: 20
     });
 
-    const leftBracket = new THREE.Mesh(bracketGeometry, bracketMaterial);
-    leftBracket.position.set(-9, -2, 0);
-    shelfGroup.add(leftBracket);
-
-    const rightBracket = new THREE.Mesh(bracketGeometry, bracketMaterial);
-    rightBracket.position.set(9, -2, 0);
-    shelfGroup.add(rightBracket);
+    const depth = this.config.shelfDepth;
+
+    this.shelfTiers.forEach(tier => {
+      // Shelf board extends 1 unit past the brackets on each side
+      const boardWidth = tier.width + 2;
+
+      // Main shelf surface
+      const shelfGeometry = new THREE.BoxGeometry(boardWidth, 0.15, depth);
+      const shelfSurface = new THREE.Mesh(shelfGeometry, shelfMaterial);
+      shelfSurface.position.y = tier.topY - 0.075;
+      shelfSurface.receiveShadow = true; // Allow shelf to receive shadows
+      shelfSurface.castShadow = true; // Cast shadow on wall to prevent light bleeding through
+      shelfSurface.name = 'shelf-board';
+      shelfGroup.add(shelfSurface);
+
+      // Front edge
+      const edgeGeometry = new THREE.BoxGeometry(boardWidth, 0.08, 0.1);
+      const frontEdge = new THREE.Mesh(edgeGeometry, edgeMaterial);
+      frontEdge.position.set(0, tier.topY - 0.115, depth / 2 + 0.05);
+      frontEdge.name = 'shelf-edge';
+      shelfGroup.add(frontEdge);
+
+      // Support brackets at the ends of the usable width
+      const bracketGeometry = new THREE.BoxGeometry(0.15, 0.8, Math.max(0.5, depth - 0.5));
+
+      const leftBracket = new THREE.Mesh(bracketGeometry, bracketMaterial);
+      leftBracket.position.set(-tier.width / 2, tier.topY - 0.575, 0);
+      leftBracket.name = 'shelf-bracket';
+      shelfGroup.add(leftBracket);
+
+      const rightBracket = new THREE.Mesh(bracketGeometry, bracketMaterial);
+      rightBracket.position.set(tier.width / 2, tier.topY - 0.575, 0);
+      rightBracket.name = 'shelf-bracket';
+      shelfGroup.add(rightBracket);
+
+      shelfGroup.add(this.createRuler(tier));
+    });
 
-    // Back wall (aligned with back of shelf)
-    const wallGeometry = new THREE.BoxGeometry(20, 6, 0.2);
+    // Back wall (aligned with back of shelf), tall enough for every tier
+    const wallBottom = OBJViewer.SHELF_TOP_Y - 2.075;
+    const wallTop = Math.max(2.5, topTier.topY + topTier.height);
+    const wallGeometry = new THREE.BoxGeometry(maxWidth + 2, wallTop - wallBottom, 0.2);
     const wallMaterial = new THREE.MeshPhongMaterial({
       color: 0xE5E5E5, // Neutral light gray color
       shininess: 10
     });
     const wall = new THREE.Mesh(wallGeometry, wallMaterial);
-    wall.position.set(0, -0.5, -1.25); // At back edge of shelf, centered vertically
+    wall.position.set(0, (wallTop + wallBottom) / 2, -depth / 2); // At back edge of shelf
     wall.receiveShadow = true; // Allow wall to receive shadows
+    wall.name = 'shelf-wall';
     shelfGroup.add(wall);
 
     this.shelf = shelfGroup;
@@ -264,540 +407,422 @@ class OBJViewer {
   }
 
   /**
-   * Create visual selection indicator (ring around selected object) (NEW)
+   * Remove the shelving unit from the scene and free its resources
    */
-  createSelectionIndicator() {
-    const geometry = new THREE.RingGeometry(0.8, 1, 32);
-    const material = new THREE.MeshBasicMaterial({ 
-      color: this.config.selectionColor, 
-      side: THREE.DoubleSide,
-      transparent: true,
-      opacity: 0.6
+  disposeShelf() {
+    if (!this.shelf) return;
+
+    this.scene.remove(this.shelf);
+    this.disposeOverlay(this.shelf);
+    this.shelf = null;
+  }
+
+  /**
+   * Free the geometries, materials and label textures of a helper group (shelf, ruler, annotations)
+   * @param {THREE.Object3D} root
+   */
+  disposeOverlay(root) {
+    const materials = new Set();
+    root.traverse((child) => {
+      if (child instanceof THREE.Mesh || child instanceof THREE.LineSegments) {
+        child.geometry.dispose();
+        materials.add(child.material);
+      } else if (child instanceof THREE.Sprite) {
+        // Sprites share one geometry, only their label material is owned here
+        materials.add(child.material);
+      }
+    });
+    materials.forEach(material => {
+      if (material.map) material.map.dispose();
+      material.dispose();
     });
-    this.selectionIndicator = new THREE.Mesh(geometry, material);
-    this.selectionIndicator.rotation.x = -Math.PI / 2; // Lay flat
-    this.selectionIndicator.visible = false;
-    this.scene.add(this.selectionIndicator);
   }
 
   /**
-   * Setup interaction controls with improved touch support
-   * MODIFIED: Added object selection and dragging support
+   * Build the ruler for one tier: tick marks lying on the front lip of the board,
+   * numbered every major tick in the configured unit
+   * @param {Object} tier - Tier from this.shelfTiers
+   * @returns {THREE.Group} - Ruler group (hidden unless config.showRuler)
    */
-  setupControls() {
-    const canvas = this.renderer.domElement;
-
-    // Track if we're doing a click vs drag (NEW)
-    let mouseDownTime = 0;
-    let mouseDownPos = { x: 0, y: 0 };
-    const CLICK_THRESHOLD = 200; // ms
-    const MOVE_THRESHOLD = 5; // pixels
-
-    // Double-click detection
-    let lastClickTime = 0;
-    let lastClickedObject = null;
-    const DOUBLE_CLICK_THRESHOLD = 300; // ms
-
-    // Mouse events
-    const onMouseDown = (e) => {
-      mouseDownTime = Date.now();
-      mouseDownPos = { x: e.clientX, y: e.clientY };
-
-      // Check if clicking on a scene object (NEW)
-      this.updateMousePosition(e);
-      const clickedObject = this.getObjectUnderMouse();
-
-      if (clickedObject && this.config.shelfVisible) {
-        // Start object dragging mode
-        this.isDraggingObject = true;
-        this.dragStartX = e.clientX;
-        this.dragStartY = e.clientY;
-        this.objectStartX = clickedObject.group.position.x;
-        this.objectStartZ = clickedObject.group.position.z;
-
-        // Determine drag mode based on whether object is in a weighted-base slot
-        const slotInfo = this.assembledToSlot.get(clickedObject.id);
-        this.dragMode = slotInfo ? 'weighted-base' : 'shelf';
-
-        this.selectObject(clickedObject);
-        canvas.style.cursor = 'grabbing';
-        return;
+  createRuler(tier) {
+    const ruler = new THREE.Group();
+    ruler.name = 'ruler';
+    ruler.visible = this.config.showRuler;
+
+    const unit = this.config.rulerUnit;
+    const ticks = OBJViewer.RULER_TICKS[unit];
+    const step = this.toSceneUnits(ticks.minor, unit);
+    const majorEvery = Math.round(ticks.major / ticks.minor);
+    const tickCount = Math.floor(tier.width / step + 1e-6);
+
+    const left = -tier.width / 2;
+    const front = this.config.shelfDepth / 2;
+    const y = tier.topY + 0.003; // Just above the board to avoid z-fighting
+
+    // Pale strip behind the ticks so they read against any shelf color
+    const stripGeometry = new THREE.PlaneGeometry(tier.width, 0.25);
+    const strip = new THREE.Mesh(stripGeometry, new THREE.MeshBasicMaterial({ color: 0xfaf6e8 }));
+    strip.rotation.x = -Math.PI / 2;
+    strip.position.set(0, y - 0.001, front - 0.125);
+    ruler.add(strip);
+
+    const positions = [left, y, front - 0.01, left + tickCount * step, y, front - 0.01];
+    for (let i = 0; i <= tickCount; i++) {
+      const x = left + i * step;
+      const isMajor = i % majorEvery === 0;
+      positions.push(x, y, front, x, y, front - (isMajor ? 0.2 : 0.08));
+
+      if (isMajor) {
+        const label = this.createTextLabel(`${i * ticks.minor}${unit === 'in' ? '"' : ' cm'}`);
+        label.position.set(x, tier.topY - 0.3, front + 0.15);
+        ruler.add(label);
       }
+    }
 
-      // Initialize camera rotation - update previousMousePosition to CURRENT position
-      // This prevents camera snap/jump when starting a new drag
-      this.controls.previousMousePosition = { x: e.clientX, y: e.clientY };
-      this.controls.isDragging = true;
-      canvas.style.cursor = 'grabbing';
-    };
+    const tickGeometry = new THREE.BufferGeometry();
+    tickGeometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    ruler.add(new THREE.LineSegments(tickGeometry, new THREE.LineBasicMaterial({ color: 0x333333 })));
 
-    const onMouseMove = (e) => {
-      // Handle object dragging (NEW)
-      if (this.isDraggingObject && this.selectedObject) {
-        const deltaX = e.clientX - this.dragStartX;
-        const deltaY = e.clientY - this.dragStartY;
-        const sensitivity = 0.01;
-
-        if (this.dragMode === 'weighted-base') {
-          // Z-axis dragging within weighted-base (map mouse Y to world Z)
-          const zSensitivity = 0.008;
-          let newZ = this.objectStartZ + deltaY * zSensitivity;
-
-          // Snap to nearest slot
-          newZ = this.checkWeightedBaseSlotSnapping(this.selectedObject, newZ);
-          this.selectedObject.group.position.z = newZ;
-
-          // Update shader uniforms for split-color materials
-          this.updateSplitColorShaderUniforms(this.selectedObject);
-
-          // Check if dragged far enough in X direction to exit weighted-base
-          const xDistance = Math.abs(deltaX * sensitivity);
-          if (xDistance > this.snapThreshold) {
-            // Exit weighted-base mode, return to shelf
-            this.unsnapObject(this.selectedObject);
-            this.dragMode = 'shelf';
-            this.objectStartX = this.selectedObject.group.position.x;
-          }
+    return ruler;
+  }
 
-        } else {
-          // X-axis dragging on shelf
-          let newX = this.objectStartX + deltaX * sensitivity;
-
-          // Clamp to shelf bounds
-          const halfShelf = this.config.shelfWidth / 2;
-          const objectHalfWidth = this.selectedObject.bounds.x / 2;
-          newX = Math.max(-halfShelf + objectHalfWidth, Math.min(halfShelf - objectHalfWidth, newX));
-
-          this.selectedObject.group.position.x = newX;
-
-          // If dragging a weighted-base or modular_stand, move all MagCaseAssembled objects with it
-          const normalizedPath = decodeURIComponent(this.selectedObject.objPath).toLowerCase().replace(/[_\s]/g, '-');
-          const isWeightedBase = normalizedPath.includes('weighted-base');
-          const isModularStand = normalizedPath.includes('modular-stand');
-          if (isWeightedBase || isModularStand) {
-            this.moveChildrenWithBase(this.selectedObject);
-          }
+  /**
+   * Create a camera-facing text label for the ruler and dimension lines
+   * @param {string} text - Label text
+   * @returns {THREE.Sprite}
+   */
+  createTextLabel(text) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 64;
+
+    const context = canvas.getContext('2d');
+    context.font = 'bold 36px sans-serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = '#333333';
+    context.fillText(text, 64, 32);
+
+    const material = new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas) });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(0.4, 0.2, 1);
+    return sprite;
+  }
 
-          // Check for snap targets (NEW - Snap Feature)
-          const snapTarget = this.checkSnapTargets(this.selectedObject);
-          if (snapTarget) {
-            this.snapToObject(this.selectedObject, snapTarget);
-            // Reset drag references to prevent fighting the snap position
-            this.objectStartX = this.selectedObject.group.position.x;
-            this.dragStartX = e.clientX;
-            // If snapped to weighted-base, switch to that drag mode
-            if (snapTarget.type === 'weighted-base') {
-              this.dragMode = 'weighted-base';
-              this.objectStartZ = this.selectedObject.group.position.z;
-              this.dragStartY = e.clientY;
-            }
-          } else {
-            // Check if was previously in a slot and moved away
-            const slotInfo = this.assembledToSlot.get(this.selectedObject.id);
-            if (slotInfo) {
-              this.unsnapObject(this.selectedObject);
-            }
-          }
-        }
+  /**
+   * Show or hide the ruler on every tier
+   * @param {boolean} visible
+   */
+  setRulerVisible(visible) {
+    this.config.showRuler = visible;
+    if (!this.shelf) return;
 
-        this.updateSelectionIndicator();
-        return;
-      }
+    this.shelf.children
+      .filter(child => child.name === 'ruler')
+      .forEach(ruler => { ruler.visible = visible; });
+    this.invalidate();
+  }
 
-      if (this.controls.isDragging) {
-        // Check if mouse has moved beyond threshold - prevents camera rotation on tiny clicks
-        const moveDist = Math.sqrt(
-          Math.pow(e.clientX - mouseDownPos.x, 2) +
-          Math.pow(e.clientY - mouseDownPos.y, 2)
-        );
+  /**
+   * Switch the ruler between inches and centimeters
+   * @param {string} unit - 'in' or 'cm'
+   */
+  setRulerUnit(unit) {
+    if (!OBJViewer.INCHES_PER_UNIT[unit]) {
+      throw new Error(`Unsupported unit: ${unit}`);
+    }
+    if (unit === this.config.rulerUnit) return;
 
-        // Only rotate camera if moved beyond threshold
-        if (moveDist >= MOVE_THRESHOLD) {
-          const deltaX = e.clientX - this.controls.previousMousePosition.x;
-          const deltaY = e.clientY - this.controls.previousMousePosition.y;
+    this.config.rulerUnit = unit;
+    this.disposeShelf();
+    this.createShelf();
+    this.updateDimensionAnnotations();
+    this.invalidate();
+  }
 
-          // Always use orbital camera to prevent model overlap when rotating
-          this.updateOrbitalCamera(deltaX, deltaY);
+  /**
+   * Format a length in scene units for display, e.g. 3.5" or 8.9 cm
+   * @param {number} value - Length in scene units
+   * @param {string} unit - 'in' or 'cm' (default: the ruler unit)
+   * @returns {string}
+   */
+  formatLength(value, unit = this.config.rulerUnit) {
+    const rounded = Math.round(this.fromSceneUnits(value, unit) * 10) / 10;
+    return unit === 'in' ? `${rounded}"` : `${rounded} cm`;
+  }
 
-          this.controls.previousMousePosition = { x: e.clientX, y: e.clientY };
-        }
-      } else {
-        // Hover effect (NEW)
-        this.updateMousePosition(e);
-        const hoverObject = this.getObjectUnderMouse();
-        canvas.style.cursor = hoverObject && this.config.shelfVisible ? 'pointer' : 'grab';
-      }
-    };
+  /**
+   * Convert a real-world length to scene units, using the same scale as the product models
+   * @param {number} value - Length in the given unit
+   * @param {string} unit - 'in' or 'cm'
+   * @returns {number}
+   */
+  toSceneUnits(value, unit = 'in') {
+    return value * OBJViewer.INCHES_PER_UNIT[unit] * OBJViewer.REAL_WORLD_SCALE;
+  }
 
-    const onMouseUp = (e) => {
-      const timeDiff = Date.now() - mouseDownTime;
-      const moveDist = Math.sqrt(
-        Math.pow(e.clientX - mouseDownPos.x, 2) +
-        Math.pow(e.clientY - mouseDownPos.y, 2)
-      );
-
-      // If it was a quick click without much movement, treat as selection (NEW)
-      if (timeDiff < CLICK_THRESHOLD && moveDist < MOVE_THRESHOLD) {
-        this.updateMousePosition(e);
-        const clickedObject = this.getObjectUnderMouse();
-
-        // Check for double-click
-        const currentTime = Date.now();
-        const timeSinceLastClick = currentTime - lastClickTime;
-
-        if (clickedObject &&
-            lastClickedObject &&
-            lastClickedObject === clickedObject &&
-            timeSinceLastClick > 0 &&
-            timeSinceLastClick < DOUBLE_CLICK_THRESHOLD) {
-          // Double-click detected!
-          console.log('Double-click detected on:', clickedObject.name, clickedObject);
-
-          // Determine snap state
-          let snapState = { isSnapped: false, snapType: null, occupiedSlots: 0 };
-
-          const slotInfo = this.assembledToSlot.get(clickedObject.id);
-          if (slotInfo) {
-            snapState.isSnapped = true;
-            snapState.snapType = slotInfo.slotIndex === null ? 'modular-stand' : 'weighted-base';
-            snapState.baseId = slotInfo.baseId;
-          }
+  /**
+   * Convert a length in scene units to a real-world unit
+   * @param {number} value - Length in scene units
+   * @param {string} unit - 'in' or 'cm'
+   * @returns {number}
+   */
+  fromSceneUnits(value, unit = 'in') {
+    return value / (OBJViewer.INCHES_PER_UNIT[unit] * OBJViewer.REAL_WORLD_SCALE);
+  }
 
-          // Check if weighted-base and count occupied slots
-          if (decodeURIComponent(clickedObject.objPath).toLowerCase().replace(/[_\s]/g, '-').includes('weighted-base')) {
-            const slots = this.weightedBaseSlots.get(clickedObject.id);
-            if (slots) {
-              snapState.occupiedSlots = slots.filter(s => s.assembledObj !== null).length;
-            }
-          }
+  /**
+   * Size the shelving unit to match real furniture. Width applies to every tier.
+   * @param {Object} dimensions - { width, depth }, either may be omitted
+   * @param {string} unit - 'in' or 'cm' (default: 'in')
+   */
+  setShelfDimensions(dimensions, unit = 'in') {
+    if (!OBJViewer.INCHES_PER_UNIT[unit]) {
+      throw new Error(`Unsupported unit: ${unit}`);
+    }
 
-          const event = new CustomEvent('objectDoubleClicked', {
-            detail: {
-              id: clickedObject.id,
-              object: clickedObject,
-              name: clickedObject.name,
-              objPath: clickedObject.objPath,
-              snapState: snapState
-            }
-          });
-          this.container.dispatchEvent(event);
-          console.log('objectDoubleClicked event dispatched with snapState:', snapState);
+    if (typeof dimensions.depth === 'number' && dimensions.depth > 0) {
+      this.config.shelfDepth = this.toSceneUnits(dimensions.depth, unit);
+    }
 
-          // Reset double-click tracking
-          lastClickTime = 0;
-          lastClickedObject = null;
-        } else {
-          // Single click - select object
-          this.handleObjectSelection();
+    const tiers = this.getShelfTiers();
+    if (typeof dimensions.width === 'number' && dimensions.width > 0) {
+      const width = this.toSceneUnits(dimensions.width, unit);
+      tiers.forEach(tier => { tier.width = width; });
+    }
 
-          // Update double-click tracking
-          lastClickTime = currentTime;
-          lastClickedObject = clickedObject;
-        }
-      }
+    this.setShelfTiers(tiers);
+  }
 
-      this.controls.isDragging = false;
-      this.isDraggingObject = false;
-      canvas.style.cursor = 'grab';
+  /**
+   * Get the shelving unit size in a real-world unit
+   * @param {string} unit - 'in' or 'cm' (default: 'in')
+   * @returns {Object} - { depth, tiers: [{ width, height }] }
+   */
+  getShelfDimensions(unit = 'in') {
+    return {
+      depth: this.fromSceneUnits(this.config.shelfDepth, unit),
+      tiers: this.shelfTiers.map(tier => ({
+        width: this.fromSceneUnits(tier.width, unit),
+        height: this.fromSceneUnits(tier.height, unit)
+      }))
     };
+  }
 
-    canvas.addEventListener('mousedown', onMouseDown);
-    canvas.addEventListener('mousemove', onMouseMove);
-    canvas.addEventListener('mouseup', onMouseUp);
-    canvas.addEventListener('mouseleave', onMouseUp);
-
-    // Touch support - prevents page scrolling while rotating
-    let touchStartPos = { x: 0, y: 0 };
-    let touchStartTime = 0;
-    let twoFingerPanning = false;
-    let twoFingerStartMidpoint = { x: 0, y: 0 };
-    let twoFingerStartPositions = []; // Track individual finger positions
-    let cameraTargetStartX = 0;
-
-    const onTouchStart = (e) => {
-      if (e.touches.length === 1) {
-        e.preventDefault(); // Prevent page scroll
-        touchStartTime = Date.now();
-        touchStartPos = {
-          x: e.touches[0].clientX,
-          y: e.touches[0].clientY
-        };
-
-        // Check if touching an object (NEW)
-        this.updateTouchPosition(e.touches[0]);
-        const touchedObject = this.getObjectUnderMouse();
-
-        if (touchedObject && this.config.shelfVisible) {
-          this.isDraggingObject = true;
-          this.dragStartX = e.touches[0].clientX;
-          this.dragStartY = e.touches[0].clientY;
-          this.objectStartX = touchedObject.group.position.x;
-          this.objectStartZ = touchedObject.group.position.z;
+  /**
+   * Reconfigure the shelving unit. Objects on removed tiers move to the top remaining tier,
+   * and every object is re-seated on its tier's new height and clamped to its width.
+   * @param {Array} tiers - [{ width, height }] from bottom to top
+   */
+  setShelfTiers(tiers) {
+    this.config.shelfTiers = tiers.map(tier => ({ width: tier.width, height: tier.height }));
+    this.shelfTiers = this.buildShelfTiers(this.config.shelfTiers);
 
-          // Determine drag mode based on whether object is in a weighted-base slot
-          const slotInfo = this.assembledToSlot.get(touchedObject.id);
-          this.dragMode = slotInfo ? 'weighted-base' : 'shelf';
+    this.disposeShelf();
+    this.createShelf();
 
-          this.selectObject(touchedObject);
-          return;
-        }
+    // Re-seat free-standing objects first; snapped objects follow their base
+    this.sceneObjects.forEach(obj => {
+      if (this.assembledToSlot.has(obj.id)) return;
+      this.setObjectTier(obj, Math.min(obj.tierIndex, this.shelfTiers.length - 1));
+      obj.group.position.x = this.clampToTier(obj, obj.group.position.x);
+      this.moveChildrenWithBase(obj);
+    });
 
-        // Initialize camera rotation - update previousMousePosition to CURRENT position
-        // This prevents camera snap/jump when starting a new drag
-        this.controls.previousMousePosition = touchStartPos;
-        this.controls.isDragging = true;
-      } else if (e.touches.length === 2) {
-        // Two fingers detected - but don't activate panning yet
-        e.preventDefault();
+    // Keep the camera inside the new panning limits
+    const limits = this.getPanLimits();
+    const target = this.orbitalControls.target;
+    target.x = Math.max(limits.minX, Math.min(limits.maxX, target.x));
+    if (this.config.shelfVisible) {
+      target.y = Math.max(limits.minY, Math.min(limits.maxY, target.y));
+    }
+    this.updateCameraPosition();
+    this.updateSelectionIndicator();
 
-        // Store individual finger positions
-        twoFingerStartPositions = [
-          { x: e.touches[0].clientX, y: e.touches[0].clientY },
-          { x: e.touches[1].clientX, y: e.touches[1].clientY }
-        ];
+    const event = new CustomEvent('shelfChanged', {
+      detail: { tiers: this.getShelfTiers(), depth: this.config.shelfDepth }
+    });
+    this.container.dispatchEvent(event);
+  }
 
-        // Calculate midpoint between two fingers
-        const midX = (e.touches[0].clientX + e.touches[1].clientX) / 2;
-        const midY = (e.touches[0].clientY + e.touches[1].clientY) / 2;
-        twoFingerStartMidpoint = { x: midX, y: midY };
+  /**
+   * Get the current tier configuration
+   * @returns {Array} - [{ width, height }] from bottom to top
+   */
+  getShelfTiers() {
+    return this.shelfTiers.map(tier => ({ width: tier.width, height: tier.height }));
+  }
 
-        // Store starting camera target X position
-        cameraTargetStartX = this.orbitalControls.target.x;
+  /**
+   * Surface height (top of the board) of a tier
+   */
+  getTierTopY(tierIndex = 0) {
+    const tier = this.shelfTiers[Math.min(Math.max(tierIndex, 0), this.shelfTiers.length - 1)];
+    return tier.topY;
+  }
 
-        // Don't immediately stop single-finger actions - wait for movement
-        // twoFingerPanning will be set to true in touchmove if appropriate
+  /**
+   * Find the tier a world-space height belongs to (the highest tier whose surface is below it)
+   */
+  getTierIndexAtY(y) {
+    let tierIndex = 0;
+    this.shelfTiers.forEach((tier, index) => {
+      if (y >= tier.topY) {
+        tierIndex = index;
       }
-    };
+    });
+    return tierIndex;
+  }
 
-    const onTouchMove = (e) => {
-      // Check if we should activate two-finger panning
-      if (!twoFingerPanning && e.touches.length === 2 && twoFingerStartPositions.length === 2) {
-        // Calculate movement of each finger
-        const finger1DeltaX = e.touches[0].clientX - twoFingerStartPositions[0].x;
-        const finger1DeltaY = e.touches[0].clientY - twoFingerStartPositions[0].y;
-        const finger2DeltaX = e.touches[1].clientX - twoFingerStartPositions[1].x;
-        const finger2DeltaY = e.touches[1].clientY - twoFingerStartPositions[1].y;
-
-        // Check if both fingers moved horizontally (more X than Y movement)
-        const finger1IsHorizontal = Math.abs(finger1DeltaX) > Math.abs(finger1DeltaY);
-        const finger2IsHorizontal = Math.abs(finger2DeltaX) > Math.abs(finger2DeltaY);
-
-        // Check if both fingers moved in the same horizontal direction
-        const sameDirection = (finger1DeltaX * finger2DeltaX) > 0;
-
-        // Movement threshold (at least 10 pixels)
-        const finger1Moved = Math.abs(finger1DeltaX) > 10 || Math.abs(finger1DeltaY) > 10;
-        const finger2Moved = Math.abs(finger2DeltaX) > 10 || Math.abs(finger2DeltaY) > 10;
-
-        // Activate panning if both fingers moved horizontally in same direction
-        if (finger1IsHorizontal && finger2IsHorizontal && sameDirection && finger1Moved && finger2Moved) {
-          twoFingerPanning = true;
-          // Stop single-finger actions
-          this.controls.isDragging = false;
-          this.isDraggingObject = false;
-        }
-      }
+  /**
+   * Clamp an X position so the object (and any row linked to it) stays within its tier's usable width
+   */
+  clampToTier(obj, x) {
+    const tier = this.shelfTiers[Math.min(obj.tierIndex || 0, this.shelfTiers.length - 1)];
+    const halfShelf = tier.width / 2;
+    const extents = this.getChainExtents(obj);
+    return Math.max(-halfShelf - extents.left, Math.min(halfShelf - extents.right, x));
+  }
 
-      // Handle two-finger panning
-      if (twoFingerPanning && e.touches.length === 2) {
-        e.preventDefault();
+  /**
+   * Move an object onto a tier, keeping any height offset it has above the surface (e.g. on a stand)
+   */
+  setObjectTier(obj, tierIndex) {
+    const clampedIndex = Math.min(Math.max(tierIndex, 0), this.shelfTiers.length - 1);
+    const offsetY = obj.group.position.y - obj.baseShelfY;
 
-        // Calculate current midpoint
-        const midX = (e.touches[0].clientX + e.touches[1].clientX) / 2;
+    obj.tierIndex = clampedIndex;
+    obj.baseShelfY = this.getTierTopY(clampedIndex) + obj.bounds.y / 2;
+    obj.group.position.y = obj.baseShelfY + offsetY;
+  }
 
-        // Calculate horizontal movement
-        const deltaX = midX - twoFingerStartMidpoint.x;
+  /**
+   * Camera target limits for panning, sized to the shelving unit
+   * @returns {Object} - { minX, maxX, minY, maxY }
+   */
+  getPanLimits() {
+    const maxWidth = Math.max(...this.shelfTiers.map(tier => tier.width));
+    const panX = Math.max(0, maxWidth / 2 - 4);
+    const unitRise = this.getTierTopY(this.shelfTiers.length - 1) - this.getTierTopY(0);
+
+    return {
+      minX: -panX,
+      maxX: panX,
+      minY: OBJViewer.SHELF_VIEW_TARGET_Y,
+      maxY: OBJViewer.SHELF_VIEW_TARGET_Y + unitRise
+    };
+  }
 
-        // Pan sensitivity - negative to invert direction (pan left = camera moves right)
-        const panSensitivity = -0.01;
-        const newTargetX = cameraTargetStartX + deltaX * panSensitivity;
+  /**
+   * Move a shelf-dragged object to the tier under the pointer (multi-tier units only)
+   * @param {Object} obj - The scene object being dragged
+   * @param {number} clientX - Pointer X in client coordinates
+   * @param {number} clientY - Pointer Y in client coordinates
+   */
+  updateDragTier(obj, clientX, clientY) {
+    // Linked rows stay on their tier; unlink a stand to move it to another one
+    if (this.shelfTiers.length < 2 || this.assembledToSlot.has(obj.id)) return;
+    if (this.isChained(obj)) return;
 
-        // Clamp camera target to half shelf width (±5 units for 10-unit effective width)
-        this.orbitalControls.target.x = Math.max(-5, Math.min(5, newTargetX));
+    // Project the pointer onto the vertical plane through the object
+    this.updateMousePosition({ clientX, clientY });
+    this.raycaster.setFromCamera(this.mouse, this.camera);
+    const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), -obj.group.position.z);
+    const point = new THREE.Vector3();
+    if (!this.raycaster.ray.intersectPlane(plane, point)) return;
 
-        // Update camera position based on new target
-        this.updateCameraPosition();
-        return;
-      }
+    const tierIndex = this.getTierIndexAtY(point.y);
+    if (tierIndex === obj.tierIndex) return;
 
-      if (this.controls.isDragging && e.touches.length === 1) {
-        e.preventDefault(); // Prevent page scroll
-        const touch = e.touches[0];
-
-        // Handle object dragging (NEW)
-        if (this.isDraggingObject && this.selectedObject) {
-          const deltaX = touch.clientX - this.dragStartX;
-          const deltaY = touch.clientY - this.dragStartY;
-          const sensitivity = 0.01;
-
-          if (this.dragMode === 'weighted-base') {
-            // Z-axis dragging within weighted-base (map touch Y to world Z)
-            const zSensitivity = 0.008;
-            let newZ = this.objectStartZ + deltaY * zSensitivity;
-
-            // Snap to nearest slot
-            newZ = this.checkWeightedBaseSlotSnapping(this.selectedObject, newZ);
-            this.selectedObject.group.position.z = newZ;
-
-            // Update shader uniforms for split-color materials
-            this.updateSplitColorShaderUniforms(this.selectedObject);
-
-            // Check if dragged far enough in X direction to exit weighted-base
-            const xDistance = Math.abs(deltaX * sensitivity);
-            if (xDistance > this.snapThreshold) {
-              // Exit weighted-base mode, return to shelf
-              this.unsnapObject(this.selectedObject);
-              this.dragMode = 'shelf';
-              this.objectStartX = this.selectedObject.group.position.x;
-            }
+    // With collisions on, only move onto a tier where the object lands in free space
+    if (this.config.collisionMode !== 'none' &&
+        this.findCollisions(obj, obj.group.position.x, tierIndex).length > 0) {
+      return;
+    }
 
-          } else {
-            // X-axis dragging on shelf
-            let newX = this.objectStartX + deltaX * sensitivity;
-
-            // Clamp to shelf bounds
-            const halfShelf = this.config.shelfWidth / 2;
-            const objectHalfWidth = this.selectedObject.bounds.x / 2;
-            newX = Math.max(-halfShelf + objectHalfWidth, Math.min(halfShelf - objectHalfWidth, newX));
-
-            this.selectedObject.group.position.x = newX;
-
-            // If dragging a weighted-base or modular_stand, move all MagCaseAssembled objects with it
-            const normalizedPath = decodeURIComponent(this.selectedObject.objPath).toLowerCase().replace(/[_\s]/g, '-');
-            const isWeightedBase = normalizedPath.includes('weighted-base');
-            const isModularStand = normalizedPath.includes('modular-stand');
-            if (isWeightedBase || isModularStand) {
-              this.moveChildrenWithBase(this.selectedObject);
-            }
+    this.setObjectTier(obj, tierIndex);
+  }
 
-            // Check for snap targets (NEW - Snap Feature)
-            const snapTarget = this.checkSnapTargets(this.selectedObject);
-            if (snapTarget) {
-              this.snapToObject(this.selectedObject, snapTarget);
-              // Reset drag references to prevent fighting the snap position
-              this.objectStartX = this.selectedObject.group.position.x;
-              this.dragStartX = touch.clientX;
-              // If snapped to weighted-base, switch to that drag mode
-              if (snapTarget.type === 'weighted-base') {
-                this.dragMode = 'weighted-base';
-                this.objectStartZ = this.selectedObject.group.position.z;
-                this.dragStartY = touch.clientY;
-              }
-            } else {
-              // Check if was previously in a slot and moved away
-              const slotInfo = this.assembledToSlot.get(this.selectedObject.id);
-              if (slotInfo) {
-                this.unsnapObject(this.selectedObject);
-              }
-            }
-          }
+  /**
+   * Create visual selection indicator (ring around selected object) (NEW)
+   */
+  createSelectionIndicator() {
+    const geometry = new THREE.RingGeometry(0.8, 1, 32);
+    const material = new THREE.MeshBasicMaterial({ 
+      color: this.config.selectionColor, 
+      side: THREE.DoubleSide,
+      transparent: true,
+      opacity: 0.6
+    });
+    this.selectionIndicator = new THREE.Mesh(geometry, material);
+    this.selectionIndicator.rotation.x = -Math.PI / 2; // Lay flat
+    this.selectionIndicator.visible = false;
+    this.scene.add(this.selectionIndicator);
+  }
 
-          this.updateSelectionIndicator();
-          return;
-        }
+  /**
+   * Setup interaction controls. Mouse, touch and pen all go through one Pointer Events gesture
+   * layer (see setupGestures) whose taps, drags, pans and pinches drive selection, object
+   * dragging, orbiting and zooming; wheel and keyboard shortcuts are handled here.
+   */
+  setupControls() {
+    const canvas = this.canvas;
 
-        // Check if touch has moved beyond threshold - prevents camera rotation on tiny taps
-        const moveDist = Math.sqrt(
-          Math.pow(touch.clientX - touchStartPos.x, 2) +
-          Math.pow(touch.clientY - touchStartPos.y, 2)
-        );
+    // Let pointer events have every touch instead of the page scrolling or zooming
+    canvas.style.touchAction = 'none';
 
-        // Only rotate camera if moved beyond threshold
-        if (moveDist >= MOVE_THRESHOLD) {
-          const deltaX = touch.clientX - this.controls.previousMousePosition.x;
-          const deltaY = touch.clientY - this.controls.previousMousePosition.y;
+    const { onPointerDown, onPointerMove, onPointerUp } = this.setupGestures(canvas, gesture => this.handleGesture(gesture));
 
-          // Always use orbital camera to prevent model overlap when rotating
-          this.updateOrbitalCamera(deltaX, deltaY);
+    // Mouse wheel zoom (toward the cursor in the shelf builder)
+    const onWheel = (e) => {
+      if (!this.config.enableZoom) return;
+      e.preventDefault(); // Prevent page scroll
 
-          this.controls.previousMousePosition = {
-            x: touch.clientX,
-            y: touch.clientY
-          };
-        }
-      }
+      // Line- and page-based wheels report far smaller deltas than pixel-based ones
+      const deltaScale = e.deltaMode === 1 ? 16 : (e.deltaMode === 2 ? 400 : 1);
+      this.zoomCamera(Math.exp(e.deltaY * deltaScale * 0.001), e.clientX, e.clientY);
     };
 
-    const onTouchEnd = (e) => {
-      // Reset two-finger panning when fingers are lifted
-      if (e.touches.length < 2) {
-        twoFingerPanning = false;
-      }
-
-      const timeDiff = Date.now() - touchStartTime;
-
-      // If it was a quick tap, treat as selection or double-tap (NEW)
-      if (timeDiff < CLICK_THRESHOLD) {
-        const tappedObject = this.getObjectUnderMouse();
+    canvas.addEventListener('wheel', onWheel, { passive: false });
 
-        // Check for double-tap
-        const currentTime = Date.now();
-        const timeSinceLastClick = currentTime - lastClickTime;
-
-        if (tappedObject &&
-            lastClickedObject &&
-            lastClickedObject === tappedObject &&
-            timeSinceLastClick > 0 &&
-            timeSinceLastClick < DOUBLE_CLICK_THRESHOLD) {
-          // Double-tap detected!
-          console.log('Double-tap detected on:', tappedObject.name, tappedObject);
-
-          // Determine snap state
-          let snapState = { isSnapped: false, snapType: null, occupiedSlots: 0 };
-
-          const slotInfo = this.assembledToSlot.get(tappedObject.id);
-          if (slotInfo) {
-            snapState.isSnapped = true;
-            snapState.snapType = slotInfo.slotIndex === null ? 'modular-stand' : 'weighted-base';
-            snapState.baseId = slotInfo.baseId;
-          }
+    // Keyboard support for arrow keys (desktop camera panning)
+    const onKeyDown = (e) => {
+      // Only handle arrow keys when shelf is visible
+      if (!this.config.shelfVisible) return;
 
-          // Check if weighted-base and count occupied slots
-          if (decodeURIComponent(tappedObject.objPath).toLowerCase().replace(/[_\s]/g, '-').includes('weighted-base')) {
-            const slots = this.weightedBaseSlots.get(tappedObject.id);
-            if (slots) {
-              snapState.occupiedSlots = slots.filter(s => s.assembledObj !== null).length;
-            }
+      // Undo (Ctrl+Z) / redo (Ctrl+Shift+Z or Ctrl+Y), Cmd on macOS
+      if ((e.ctrlKey || e.metaKey) && (e.key.toLowerCase() === 'z' || e.key.toLowerCase() === 'y')) {
+        // Leave text fields to the browser's own undo
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+        if (this.isDraggingObject) return;
+
+        const isRedo = e.key.toLowerCase() === 'y' || e.shiftKey;
+        if (isRedo ? this.canRedo() : this.canUndo()) {
+          e.preventDefault();
+          if (isRedo) {
+            this.redo();
+          } else {
+            this.undo();
           }
-
-          const event = new CustomEvent('objectDoubleClicked', {
-            detail: {
-              id: tappedObject.id,
-              object: tappedObject,
-              name: tappedObject.name,
-              objPath: tappedObject.objPath,
-              snapState: snapState
-            }
-          });
-          this.container.dispatchEvent(event);
-          console.log('objectDoubleClicked event dispatched (touch) with snapState:', snapState);
-
-          // Reset double-tap tracking
-          lastClickTime = 0;
-          lastClickedObject = null;
-        } else {
-          // Single tap - select object
-          this.handleObjectSelection();
-
-          // Update double-tap tracking
-          lastClickTime = currentTime;
-          lastClickedObject = tappedObject;
         }
+        return;
       }
 
-      this.controls.isDragging = false;
-      this.isDraggingObject = false;
-    };
+      // Selecting, moving, snapping and removing objects while the 3D view has focus
+      if (document.activeElement === this.container && this.handleObjectKey(e)) {
+        e.preventDefault();
+        return;
+      }
 
-    canvas.addEventListener('touchstart', onTouchStart, { passive: false });
-    canvas.addEventListener('touchmove', onTouchMove, { passive: false });
-    canvas.addEventListener('touchend', onTouchEnd);
-    canvas.addEventListener('touchcancel', onTouchEnd);
+      // + / - zoom toward the orbit target (leaving Ctrl/Cmd +/- to browser zoom)
+      if ((e.key === '+' || e.key === '=' || e.key === '-' || e.key === '_') && this.config.enableZoom) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
 
-    // Keyboard support for arrow keys (desktop camera panning)
-    const onKeyDown = (e) => {
-      // Only handle arrow keys when shelf is visible
-      if (!this.config.shelfVisible) return;
+        e.preventDefault();
+        this.zoomCamera(e.key === '+' || e.key === '=' ? 0.9 : 1 / 0.9);
+        return;
+      }
 
       if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
         e.preventDefault(); // Prevent page scroll
@@ -808,12 +833,25 @@ class OBJViewer {
 
         let newTargetX = this.orbitalControls.target.x + (panAmount * direction);
 
-        // Clamp camera target to half shelf width (±5 units)
-        newTargetX = Math.max(-5, Math.min(5, newTargetX));
+        // Clamp camera target to the shelving unit's size
+        const limits = this.getPanLimits();
+        newTargetX = Math.max(limits.minX, Math.min(limits.maxX, newTargetX));
 
         this.orbitalControls.target.x = newTargetX;
         this.updateCameraPosition();
       }
+
+      // Page Up / Page Down pan between tiers of a multi-tier unit
+      if ((e.key === 'PageUp' || e.key === 'PageDown') && this.shelfTiers.length > 1) {
+        e.preventDefault(); // Prevent page scroll
+
+        const limits = this.getPanLimits();
+        const direction = e.key === 'PageUp' ? 1 : -1;
+        const newTargetY = this.orbitalControls.target.y + 0.5 * direction;
+
+        this.orbitalControls.target.y = Math.max(limits.minY, Math.min(limits.maxY, newTargetY));
+        this.updateCameraPosition();
+      }
     };
 
     document.addEventListener('keydown', onKeyDown);
@@ -824,6 +862,9 @@ class OBJViewer {
     const onFocus = (e) => {
       // Create and attach arrow key handler when viewer gains focus
       viewerKeyHandler = (e) => {
+        // Keys the shelf builder already used (object manipulation, panning) don't rotate too
+        if (e.defaultPrevented) return;
+
         // Handle arrow keys for 3D rotation
         if (e.key === 'ArrowLeft' || e.key === 'ArrowRight' ||
             e.key === 'ArrowUp' || e.key === 'ArrowDown') {
@@ -859,6 +900,13 @@ class OBJViewer {
 
           this.updateCameraPosition();
         }
+
+        // + / - zoom while focused (the shelf builder's page-wide handler already covers it there)
+        if ((e.key === '+' || e.key === '=' || e.key === '-' || e.key === '_') &&
+            this.config.enableZoom && !this.config.shelfVisible && !e.ctrlKey && !e.metaKey && !e.altKey) {
+          e.preventDefault();
+          this.zoomCamera(e.key === '+' || e.key === '=' ? 0.9 : 1 / 0.9);
+        }
       };
 
       document.addEventListener('keydown', viewerKeyHandler);
@@ -877,8 +925,7 @@ class OBJViewer {
 
     // Store references for cleanup
     this.eventHandlers = {
-      onMouseDown, onMouseMove, onMouseUp,
-      onTouchStart, onTouchMove, onTouchEnd,
+      onPointerDown, onPointerMove, onPointerUp, onWheel,
       onKeyDown, onFocus, onBlur
     };
 
@@ -886,43 +933,632 @@ class OBJViewer {
   }
 
   // ==========================================
-  // MULTI-OBJECT HELPER METHODS (NEW)
+  // GESTURE INPUT
   // ==========================================
 
   /**
-   * Update mouse position for raycasting (NEW)
+   * Turn Pointer Events on an element into high-level gestures, the same way for mouse, touch
+   * and pen. One pointer gives 'tap', 'doubletap', 'longpress' and 'dragstart'/'drag'/'dragend'
+   * (plus 'hover' for a mouse or pen that isn't pressed); two pointers give
+   * 'panstart'/'pan'/'panend' when they move together and 'pinchstart'/'pinch'/'pinchend' when
+   * their spread changes. A second pointer ends a drag in progress. A long-press isn't also a
+   * tap, but moving on afterwards still drags (with longPress set on the drag gestures).
+   * @param {HTMLElement} element - Element to listen on
+   * @param {Function} onGesture - Called with { type, pointerType, x, y, startX, startY, altKey,
+   *   longPress (held still before the drag), scale (pinch: spread change since the last 'pinch'),
+   *   cancelled (dragend: interrupted) }
+   * @returns {Object} - { onPointerDown, onPointerMove, onPointerUp } listeners, for cleanup
    */
-  updateMousePosition(event) {
-    const rect = this.container.getBoundingClientRect();
-    this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
-  }
+  setupGestures(element, onGesture) {
+    const pointers = new Map(); // Pointer ID -> { x, y, startX, startY }
+    let state = 'idle'; // 'press', 'drag', 'multi' (two pointers, not classified yet), 'pan', 'pinch' or 'done'
+    let press = null; // { x, y, time, pointerType, altKey, longPress } of the pointer that started the gesture
+    let longPressTimer = null;
+    let lastTap = null; // { x, y, time } for double-tap detection
+    let twoPointerStart = null; // { x, y, distance } midpoint and spread when the second pointer went down
+    let pinchDistance = 0;
+
+    const emit = (type, x, y, extra = {}) => {
+      onGesture({
+        type,
+        pointerType: press ? press.pointerType : 'mouse',
+        x, y,
+        startX: press ? press.x : x,
+        startY: press ? press.y : y,
+        altKey: press ? press.altKey : false,
+        longPress: press ? press.longPress : false,
+        ...extra
+      });
+    };
 
-  /**
-   * Update touch position for raycasting (NEW)
-   */
-  updateTouchPosition(touch) {
-    const rect = this.container.getBoundingClientRect();
-    this.mouse.x = ((touch.clientX - rect.left) / rect.width) * 2 - 1;
-    this.mouse.y = -((touch.clientY - rect.top) / rect.height) * 2 + 1;
-  }
+    const twoPointerLayout = () => {
+      const [a, b] = Array.from(pointers.values());
+      return {
+        a, b,
+        x: (a.x + b.x) / 2,
+        y: (a.y + b.y) / 2,
+        distance: Math.hypot(a.x - b.x, a.y - b.y)
+      };
+    };
 
-  /**
-   * Get the scene object under the current mouse position (NEW)
-   */
-  getObjectUnderMouse() {
-    this.raycaster.setFromCamera(this.mouse, this.camera);
+    const cancelLongPress = () => {
+      clearTimeout(longPressTimer);
+      longPressTimer = null;
+    };
 
-    const meshes = [];
-    this.sceneObjects.forEach(obj => {
-      obj.group.traverse(child => {
-        if (child instanceof THREE.Mesh) {
-          meshes.push({ mesh: child, sceneObject: obj });
-        }
-      });
-    });
+    const onPointerDown = (e) => {
+      if (e.pointerType === 'mouse' && e.button !== 0) return; // Primary button only
+      if (pointers.size >= 2) return;
 
-    const intersects = this.raycaster.intersectObjects(meshes.map(m => m.mesh));
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY });
+      if (element.setPointerCapture) {
+        element.setPointerCapture(e.pointerId); // Keep receiving moves outside the element
+      }
+
+      if (pointers.size === 1) {
+        state = 'press';
+        press = {
+          x: e.clientX, y: e.clientY, time: Date.now(),
+          pointerType: e.pointerType, altKey: e.altKey, longPress: false
+        };
+        longPressTimer = setTimeout(() => {
+          longPressTimer = null;
+          if (state !== 'press') return;
+          press.longPress = true; // No tap on release, but moving on still drags
+          emit('longpress', press.x, press.y);
+        }, OBJViewer.GESTURE_LONG_PRESS_DELAY);
+        return;
+      }
+
+      // Second pointer: wait for movement to tell a pan from a pinch
+      cancelLongPress();
+      if (state === 'drag') {
+        const first = Array.from(pointers.values())[0];
+        emit('dragend', first.x, first.y, { cancelled: true });
+      }
+      state = 'multi';
+      pointers.forEach((pointer) => {
+        pointer.startX = pointer.x;
+        pointer.startY = pointer.y;
+      });
+      twoPointerStart = twoPointerLayout();
+      pinchDistance = twoPointerStart.distance;
+    };
+
+    const onPointerMove = (e) => {
+      const pointer = pointers.get(e.pointerId);
+      if (!pointer) {
+        if (pointers.size === 0 && e.pointerType !== 'touch') {
+          onGesture({ type: 'hover', pointerType: e.pointerType, x: e.clientX, y: e.clientY });
+        }
+        return;
+      }
+      pointer.x = e.clientX;
+      pointer.y = e.clientY;
+
+      if (state === 'press' &&
+          Math.hypot(pointer.x - pointer.startX, pointer.y - pointer.startY) >= OBJViewer.GESTURE_MOVE_THRESHOLD) {
+        cancelLongPress();
+        state = 'drag';
+        emit('dragstart', press.x, press.y);
+      }
+
+      if (state === 'drag') {
+        emit('drag', pointer.x, pointer.y);
+        return;
+      }
+
+      if (pointers.size !== 2) return;
+      const layout = twoPointerLayout();
+
+      if (state === 'multi') {
+        const threshold = OBJViewer.GESTURE_MULTI_TOUCH_THRESHOLD;
+        const moveA = { x: layout.a.x - layout.a.startX, y: layout.a.y - layout.a.startY };
+        const moveB = { x: layout.b.x - layout.b.startX, y: layout.b.y - layout.b.startY };
+        const bothMoved = Math.hypot(moveA.x, moveA.y) > threshold && Math.hypot(moveB.x, moveB.y) > threshold;
+
+        if (Math.abs(layout.distance - twoPointerStart.distance) > threshold) {
+          state = 'pinch';
+          emit('pinchstart', layout.x, layout.y);
+        } else if (bothMoved && moveA.x * moveB.x + moveA.y * moveB.y > 0) {
+          // Both pointers moving the same way
+          state = 'pan';
+          emit('panstart', twoPointerStart.x, twoPointerStart.y);
+        }
+      }
+
+      if (state === 'pinch') {
+        if (layout.distance > 0 && pinchDistance > 0) {
+          emit('pinch', layout.x, layout.y, { scale: layout.distance / pinchDistance });
+        }
+        pinchDistance = layout.distance;
+      } else if (state === 'pan') {
+        emit('pan', layout.x, layout.y, { startX: twoPointerStart.x, startY: twoPointerStart.y });
+      }
+    };
+
+    const onPointerUp = (e) => {
+      const pointer = pointers.get(e.pointerId);
+      if (!pointer) return;
+      const cancelled = e.type === 'pointercancel';
+
+      if (state === 'press' && !cancelled && !press.longPress) {
+        const now = Date.now();
+        const isDoubleTap = lastTap &&
+          now - lastTap.time < OBJViewer.GESTURE_DOUBLE_TAP_INTERVAL &&
+          Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) < OBJViewer.GESTURE_DOUBLE_TAP_DISTANCE;
+
+        emit(isDoubleTap ? 'doubletap' : 'tap', e.clientX, e.clientY);
+        lastTap = isDoubleTap ? null : { x: e.clientX, y: e.clientY, time: now };
+      } else if (state === 'drag') {
+        emit('dragend', e.clientX, e.clientY, { cancelled });
+      } else if (state === 'pan' || state === 'pinch') {
+        const layout = twoPointerLayout();
+        emit(state + 'end', layout.x, layout.y);
+      }
+
+      cancelLongPress();
+      pointers.delete(e.pointerId);
+      if (element.releasePointerCapture && element.hasPointerCapture && element.hasPointerCapture(e.pointerId)) {
+        element.releasePointerCapture(e.pointerId);
+      }
+
+      // Lifting one of two pointers doesn't start a new gesture with the other one
+      state = pointers.size === 0 ? 'idle' : 'done';
+      if (pointers.size === 0) {
+        press = null;
+      }
+    };
+
+    element.addEventListener('pointerdown', onPointerDown);
+    element.addEventListener('pointermove', onPointerMove);
+    element.addEventListener('pointerup', onPointerUp);
+    element.addEventListener('pointercancel', onPointerUp);
+
+    return { onPointerDown, onPointerMove, onPointerUp };
+  }
+
+  /**
+   * Act on a gesture from setupGestures(): taps select, double-taps open product details,
+   * long-presses select a linked stand, drags move the object under the pointer (or orbit
+   * the camera from the background), two-pointer pans move the camera target and pinches zoom
+   * @param {Object} gesture - See setupGestures()
+   */
+  handleGesture(gesture) {
+    const canvas = this.canvas;
+
+    switch (gesture.type) {
+      case 'hover': {
+        this.updateMousePosition({ clientX: gesture.x, clientY: gesture.y });
+        const hoverObject = this.getObjectUnderMouse();
+        canvas.style.cursor = hoverObject && this.config.shelfVisible ? 'pointer' : 'grab';
+        break;
+      }
+
+      case 'tap':
+        this.updateMousePosition({ clientX: gesture.x, clientY: gesture.y });
+        this.handleObjectSelection();
+        break;
+
+      case 'doubletap':
+        this.handleDoubleTap(gesture);
+        break;
+
+      case 'longpress':
+        this.handleLongPress(gesture);
+        break;
+
+      case 'dragstart':
+        this.startPointerDrag(gesture);
+        break;
+
+      case 'drag':
+        this.updatePointerDrag(gesture);
+        break;
+
+      case 'dragend':
+        this.controls.isDragging = false;
+        this.finishObjectDrag();
+        canvas.style.cursor = 'grab';
+        break;
+
+      case 'panstart':
+        this.panStartTarget = this.orbitalControls.target.clone();
+        this.controls.isDragging = true; // Pauses auto-rotation
+        break;
+
+      case 'pan':
+        this.panCameraFrom(this.panStartTarget, gesture.x - gesture.startX, gesture.y - gesture.startY);
+        break;
+
+      case 'pinch':
+        if (this.config.enableZoom) {
+          this.zoomCamera(1 / gesture.scale, gesture.x, gesture.y);
+        }
+        break;
+
+      case 'panend':
+      case 'pinchend':
+        this.controls.isDragging = false;
+        break;
+    }
+  }
+
+  /**
+   * Double-tap on the object the first tap selected: announce it for the product details view
+   * @param {Object} gesture - 'doubletap' gesture
+   */
+  handleDoubleTap(gesture) {
+    this.updateMousePosition({ clientX: gesture.x, clientY: gesture.y });
+    const tappedObject = this.getObjectUnderMouse();
+
+    // Two quick taps on different things are just two taps
+    if (!tappedObject || tappedObject !== this.selectedObject) {
+      this.handleObjectSelection();
+      return;
+    }
+
+    const snapState = this.getSnapState(tappedObject);
+    const event = new CustomEvent('objectDoubleClicked', {
+      detail: {
+        id: tappedObject.id,
+        object: tappedObject,
+        name: tappedObject.name,
+        objPath: tappedObject.objPath,
+        snapState: snapState
+      }
+    });
+    this.container.dispatchEvent(event);
+  }
+
+  /**
+   * Long-press on a stand in a linked row selects it, to show that dragging on from here pulls
+   * it out of the row (the touch equivalent of Alt+drag, see startPointerDrag)
+   * @param {Object} gesture - 'longpress' gesture
+   */
+  handleLongPress(gesture) {
+    if (!this.config.shelfVisible) return;
+
+    this.updateMousePosition({ clientX: gesture.x, clientY: gesture.y });
+    const pressedObject = this.getObjectUnderMouse();
+    if (!pressedObject || !this.isChained(pressedObject)) return;
+
+    this.selectObject(pressedObject);
+  }
+
+  /**
+   * Start dragging the object under the drag's start point, or orbiting the camera from the background
+   * @param {Object} gesture - 'dragstart' gesture
+   */
+  startPointerDrag(gesture) {
+    this.updateMousePosition({ clientX: gesture.startX, clientY: gesture.startY });
+    const draggedObject = this.config.shelfVisible ? this.getObjectUnderMouse() : null;
+
+    if (!draggedObject) {
+      // Orbit from where the pointer went down, so the first movement isn't lost
+      this.controls.previousMousePosition = { x: gesture.startX, y: gesture.startY };
+      this.controls.isDragging = true;
+      this.canvas.style.cursor = 'grabbing';
+      return;
+    }
+
+    this.isDraggingObject = true;
+    this.dragStartX = gesture.startX;
+    this.dragStartY = gesture.startY;
+    this.objectStartX = draggedObject.group.position.x;
+    this.objectStartZ = draggedObject.group.position.z;
+    this.dragStartPlacements = this.capturePlacements();
+
+    // Alt+drag, or press-and-hold then drag, pulls a stand out of its linked row
+    if (gesture.altKey || gesture.longPress) {
+      this.unlinkFromChain(draggedObject);
+    }
+    this.chainLinkExclusions = this.findChainLinkCandidates(draggedObject);
+
+    // Determine drag mode based on whether object is in a weighted-base slot
+    const slotInfo = this.assembledToSlot.get(draggedObject.id);
+    this.dragMode = slotInfo ? 'weighted-base' : 'shelf';
+
+    this.selectObject(draggedObject);
+    this.canvas.style.cursor = 'grabbing';
+  }
+
+  /**
+   * Move the dragged object (sliding, snapping, linking and changing tiers) or orbit the camera
+   * @param {Object} gesture - 'drag' gesture
+   */
+  updatePointerDrag(gesture) {
+    if (this.controls.isDragging) {
+      const deltaX = gesture.x - this.controls.previousMousePosition.x;
+      const deltaY = gesture.y - this.controls.previousMousePosition.y;
+
+      // Always use orbital camera to prevent model overlap when rotating
+      this.updateOrbitalCamera(deltaX, deltaY);
+      this.controls.previousMousePosition = { x: gesture.x, y: gesture.y };
+      return;
+    }
+
+    if (!this.isDraggingObject || !this.selectedObject) return;
+
+    const deltaX = gesture.x - this.dragStartX;
+    const deltaY = gesture.y - this.dragStartY;
+    const sensitivity = 0.01;
+
+    if (this.dragMode === 'weighted-base') {
+      // Z-axis dragging within weighted-base (map pointer Y to world Z)
+      const zSensitivity = 0.008;
+      let newZ = this.objectStartZ + deltaY * zSensitivity;
+
+      // Snap to nearest slot
+      newZ = this.checkWeightedBaseSlotSnapping(this.selectedObject, newZ);
+      this.selectedObject.group.position.z = newZ;
+
+      // Update shader uniforms for split-color materials
+      this.updateSplitColorShaderUniforms(this.selectedObject);
+
+      // Check if dragged far enough in X direction to exit weighted-base
+      const xDistance = Math.abs(deltaX * sensitivity);
+      if (xDistance > this.snapThreshold) {
+        // Exit weighted-base mode, return to shelf
+        this.unsnapObject(this.selectedObject);
+        this.dragMode = 'shelf';
+        this.objectStartX = this.selectedObject.group.position.x;
+      }
+
+    } else {
+      // Vertical pointer movement can carry the object to another tier
+      this.updateDragTier(this.selectedObject, gesture.x, gesture.y);
+
+      // X-axis dragging on shelf (with its linked row), clamped to the tier and stopped by neighbours
+      this.moveAlongShelf(this.selectedObject, this.objectStartX + deltaX * sensitivity);
+
+      // Magnetic products link up with a matching neighbour they are dragged against
+      const chainLink = this.checkChainLink(this.selectedObject);
+      if (chainLink) {
+        this.linkToChain(this.selectedObject, chainLink);
+        // Reset drag references so the row doesn't jump when dragging continues
+        this.objectStartX = this.selectedObject.group.position.x;
+        this.dragStartX = gesture.x;
+      }
+
+      // Check for snap targets (NEW - Snap Feature)
+      const snapTarget = this.checkSnapTargets(this.selectedObject);
+      if (snapTarget) {
+        this.snapToObject(this.selectedObject, snapTarget);
+        // Reset drag references to prevent fighting the snap position
+        this.objectStartX = this.selectedObject.group.position.x;
+        this.dragStartX = gesture.x;
+        // If snapped to weighted-base, switch to that drag mode
+        if (snapTarget.connector.layout === 'row') {
+          this.dragMode = 'weighted-base';
+          this.objectStartZ = this.selectedObject.group.position.z;
+          this.dragStartY = gesture.y;
+        }
+      } else {
+        // Check if was previously in a slot and moved away
+        const slotInfo = this.assembledToSlot.get(this.selectedObject.id);
+        if (slotInfo) {
+          this.unsnapObject(this.selectedObject);
+        }
+      }
+    }
+
+    this.updateSelectionIndicator();
+  }
+
+  /**
+   * Pan the camera target with a two-pointer drag (horizontally, and vertically on multi-tier units)
+   * @param {THREE.Vector3} startTarget - Camera target when the pan began
+   * @param {number} deltaX - Pointer movement since then, in pixels
+   * @param {number} deltaY
+   */
+  panCameraFrom(startTarget, deltaX, deltaY) {
+    // Pan sensitivity - negative to invert direction (pan left = camera moves right)
+    const panSensitivity = -0.01;
+    const limits = this.getPanLimits();
+
+    // Clamp camera target to the shelving unit's size
+    const newTargetX = startTarget.x + deltaX * panSensitivity;
+    this.orbitalControls.target.x = Math.max(limits.minX, Math.min(limits.maxX, newTargetX));
+
+    // Multi-tier units also pan vertically (drag down = look higher up the unit)
+    if (this.shelfTiers.length > 1) {
+      const newTargetY = startTarget.y - deltaY * panSensitivity;
+      this.orbitalControls.target.y = Math.max(limits.minY, Math.min(limits.maxY, newTargetY));
+    }
+
+    this.updateCameraPosition();
+  }
+
+  // ==========================================
+  // KEYBOARD MANIPULATION
+  // ==========================================
+
+  /**
+   * Shelf-builder keys while the 3D view has focus: Tab/Shift+Tab cycle the selection, arrows
+   * move the selected object (Shift for bigger steps), Enter snaps or unsnaps it, Delete removes
+   * it and Escape deselects
+   * @param {KeyboardEvent} e - The keydown event
+   * @returns {boolean} - True if the key was used (the caller prevents its default action)
+   */
+  handleObjectKey(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey || this.isDraggingObject) return false;
+
+    if (e.key === 'Tab') {
+      return this.cycleSelection(e.shiftKey ? -1 : 1);
+    }
+
+    const obj = this.selectedObject;
+    if (!obj) return false;
+
+    switch (e.key) {
+      case 'ArrowLeft':
+      case 'ArrowRight':
+      case 'ArrowUp':
+      case 'ArrowDown':
+        this.nudgeObject(obj, e.key, e.shiftKey);
+        return true;
+
+      case 'Enter':
+        return this.toggleSnap(obj);
+
+      case 'Delete':
+      case 'Backspace': {
+        // Select the object that took its place so Delete can be pressed again
+        const index = this.sceneObjects.indexOf(obj);
+        this.removeObjectFromScene(obj.id);
+        const next = this.sceneObjects[Math.min(index, this.sceneObjects.length - 1)];
+        if (next) {
+          this.selectObject(next);
+        }
+        return true;
+      }
+
+      case 'Escape':
+        this.deselectObject();
+        return true;
+    }
+    return false;
+  }
+
+  /**
+   * Select the next or previous scene object. Past either end nothing is selected and Tab
+   * moves focus out of the 3D view as usual.
+   * @param {number} direction - 1 for the next object, -1 for the previous one
+   * @returns {boolean} - True if an object was selected
+   */
+  cycleSelection(direction) {
+    const index = this.sceneObjects.indexOf(this.selectedObject);
+    const nextIndex = index === -1
+      ? (direction > 0 ? 0 : this.sceneObjects.length - 1)
+      : index + direction;
+
+    if (nextIndex < 0 || nextIndex >= this.sceneObjects.length) {
+      this.deselectObject();
+      return false;
+    }
+
+    this.selectObject(this.sceneObjects[nextIndex]);
+    return true;
+  }
+
+  /**
+   * Move an object one arrow-key step. Objects in a weighted-base step through its free slots
+   * (Up/Right toward the back); anything else slides along the shelf with Left/Right (carried by
+   * its stand if it rests on one) and changes tier with Up/Down on a multi-tier unit.
+   * @param {Object} obj - The scene object to move
+   * @param {string} key - 'ArrowLeft', 'ArrowRight', 'ArrowUp' or 'ArrowDown'
+   * @param {boolean} largeStep - Move by KEYBOARD_MOVE_STEP_LARGE instead of KEYBOARD_MOVE_STEP
+   */
+  nudgeObject(obj, key, largeStep = false) {
+    const before = this.capturePlacements();
+    const slotInfo = this.assembledToSlot.get(obj.id);
+    const direction = key === 'ArrowRight' || key === 'ArrowUp' ? 1 : -1;
+
+    if (slotInfo && slotInfo.slotIndex !== null) {
+      const slots = this.weightedBaseSlots.get(slotInfo.baseId) || [];
+      let index = slotInfo.slotIndex + direction;
+      while (slots[index] && slots[index].assembledObj !== null) {
+        index += direction; // Skip occupied slots
+      }
+      if (slots[index]) {
+        obj.group.position.z = this.checkWeightedBaseSlotSnapping(obj, slots[index].snapPointZ);
+        this.updateSplitColorShaderUniforms(obj);
+      }
+    } else {
+      const mover = slotInfo
+        ? this.sceneObjects.find(other => other.id === slotInfo.baseId) || obj
+        : obj;
+
+      if (key === 'ArrowLeft' || key === 'ArrowRight') {
+        const step = largeStep ? OBJViewer.KEYBOARD_MOVE_STEP_LARGE : OBJViewer.KEYBOARD_MOVE_STEP;
+        this.moveAlongShelf(mover, mover.group.position.x + direction * step);
+      } else if (this.shelfTiers.length > 1 && !this.isChained(mover)) {
+        this.setObjectTier(mover, mover.tierIndex + direction);
+        this.moveChildrenWithBase(mover);
+        this.moveAlongShelf(mover, mover.group.position.x); // Fit the new tier's width
+      }
+    }
+
+    this.updateSelectionIndicator();
+    this.finishKeyboardEdit(before, obj);
+  }
+
+  /**
+   * Snap an object onto the nearest stand or weighted-base on its tier that accepts it, or lift
+   * a snapped object off and set it down beside what it was snapped to
+   * @param {Object} obj - The scene object
+   * @returns {boolean} - True if the object was snapped or unsnapped
+   */
+  toggleSnap(obj) {
+    const before = this.capturePlacements();
+    const slotInfo = this.assembledToSlot.get(obj.id);
+
+    if (slotInfo) {
+      const base = this.sceneObjects.find(other => other.id === slotInfo.baseId);
+      this.unsnapObject(obj);
+
+      if (base) {
+        // Beside the base on the right, or on the left if the tier ends first
+        const offset = (base.bounds.x + obj.bounds.x) / 2 + OBJViewer.KEYBOARD_MOVE_STEP;
+        const rightX = base.group.position.x + offset;
+        const x = this.clampToTier(obj, rightX) === rightX ? rightX : base.group.position.x - offset;
+        this.moveAlongShelf(obj, x);
+      }
+    } else {
+      const snapTarget = this.checkSnapTargets(obj, Infinity);
+      if (!snapTarget) return false;
+      this.snapToObject(obj, snapTarget);
+    }
+
+    this.updateSelectionIndicator();
+    this.finishKeyboardEdit(before, obj);
+    return true;
+  }
+
+  /**
+   * Record a keyboard edit in the history and announce the move, like the end of a drag
+   * @param {Array} before - Placement snapshot taken before the edit
+   * @param {Object} obj - The edited scene object
+   */
+  finishKeyboardEdit(before, obj) {
+    if (this.recordPlacementChange(before, obj)) {
+      const event = new CustomEvent('objectMoved', {
+        detail: { id: obj.id, object: obj }
+      });
+      this.container.dispatchEvent(event);
+    }
+  }
+
+  // ==========================================
+  // MULTI-OBJECT HELPER METHODS (NEW)
+  // ==========================================
+
+  /**
+   * Update mouse position for raycasting (NEW)
+   */
+  updateMousePosition(event) {
+    const rect = this.container.getBoundingClientRect();
+    this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  }
+
+  /**
+   * Get the scene object under the current mouse position (NEW)
+   */
+  getObjectUnderMouse() {
+    this.raycaster.setFromCamera(this.mouse, this.camera);
+
+    const meshes = [];
+    this.sceneObjects.forEach(obj => {
+      obj.group.traverse(child => {
+        if (child instanceof THREE.Mesh) {
+          meshes.push({ mesh: child, sceneObject: obj });
+        }
+      });
+    });
+
+    const intersects = this.raycaster.intersectObjects(meshes.map(m => m.mesh));
 
     if (intersects.length > 0) {
       const hitMesh = intersects[0].object;
@@ -972,6 +1608,7 @@ class OBJViewer {
       this.restoreObjectMaterials(this.selectedObject);
       this.selectedObject = null;
       this.selectionIndicator.visible = false;
+      this.updateDimensionAnnotations();
 
       const event = new CustomEvent('objectDeselected');
       this.container.dispatchEvent(event);
@@ -1004,8 +1641,10 @@ class OBJViewer {
    * Update selection indicator position (NEW)
    */
   updateSelectionIndicator() {
+    this.invalidate();
     if (!this.selectedObject) {
       this.selectionIndicator.visible = false;
+      this.updateDimensionAnnotations();
       return;
     }
 
@@ -1014,26 +1653,192 @@ class OBJViewer {
 
     this.selectionIndicator.position.set(
       this.selectedObject.group.position.x,
-      -1.41,
+      this.getTierTopY(this.selectedObject.tierIndex) + 0.015,
       0
     );
 
     const scale = Math.max(size.x, size.z) * 0.7;
     this.selectionIndicator.scale.set(scale, scale, scale);
     this.selectionIndicator.visible = true;
+
+    this.updateDimensionAnnotations();
+  }
+
+  /**
+   * Show or hide width/height/depth lines on the selected object
+   * @param {boolean} visible
+   */
+  setDimensionsVisible(visible) {
+    if (visible === this.config.showDimensions) return;
+
+    this.config.showDimensions = visible;
+    this.updateDimensionAnnotations();
+    this.invalidate();
+  }
+
+  /**
+   * Keep the dimension lines on the selected object. The lines are built once per
+   * object and unit, then only follow the object while it is dragged.
+   */
+  updateDimensionAnnotations() {
+    const obj = this.config.showDimensions ? this.selectedObject : null;
+    const current = this.dimensionAnnotations;
+
+    if (current && (!obj || current.objectId !== obj.id || current.unit !== this.config.rulerUnit)) {
+      this.scene.remove(current.group);
+      this.disposeOverlay(current.group);
+      this.dimensionAnnotations = null;
+    }
+
+    if (!obj) return;
+
+    if (!this.dimensionAnnotations) {
+      this.dimensionAnnotations = {
+        objectId: obj.id,
+        unit: this.config.rulerUnit,
+        group: this.createDimensionAnnotations(obj.bounds)
+      };
+      this.scene.add(this.dimensionAnnotations.group);
+    }
+
+    this.dimensionAnnotations.group.position.copy(obj.group.position);
+  }
+
+  /**
+   * Build dimension lines around a box of the given size, centered on the origin:
+   * width along the bottom front edge, height up the right front edge, depth along the right side
+   * @param {THREE.Vector3} bounds - Object size in scene units
+   * @returns {THREE.Group}
+   */
+  createDimensionAnnotations(bounds) {
+    const group = new THREE.Group();
+    const hx = bounds.x / 2;
+    const hy = bounds.y / 2;
+    const hz = bounds.z / 2;
+    const gap = 0.1; // Offset from the object so lines don't touch it
+    const tick = 0.05; // Half-length of the end ticks
+
+    const positions = [
+      // Width
+      -hx, -hy, hz + gap, hx, -hy, hz + gap,
+      -hx, -hy - tick, hz + gap, -hx, -hy + tick, hz + gap,
+      hx, -hy - tick, hz + gap, hx, -hy + tick, hz + gap,
+      // Height
+      hx + gap, -hy, hz, hx + gap, hy, hz,
+      hx + gap - tick, -hy, hz, hx + gap + tick, -hy, hz,
+      hx + gap - tick, hy, hz, hx + gap + tick, hy, hz,
+      // Depth
+      hx + gap, -hy, -hz, hx + gap, -hy, hz,
+      hx + gap - tick, -hy, -hz, hx + gap + tick, -hy, -hz
+    ];
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+
+    // Drawn on top of the products so the lines stay readable behind neighbours
+    const material = new THREE.LineBasicMaterial({ color: 0x1a1a1a, depthTest: false });
+    const lines = new THREE.LineSegments(geometry, material);
+    lines.renderOrder = 1;
+    group.add(lines);
+
+    const labels = [
+      { value: bounds.x, position: [0, -hy - 0.15, hz + gap] },
+      { value: bounds.y, position: [hx + gap + 0.3, 0, hz] },
+      { value: bounds.z, position: [hx + gap + 0.3, -hy, 0] }
+    ];
+    labels.forEach(({ value, position }) => {
+      const label = this.createTextLabel(this.formatLength(value));
+      label.material.depthTest = false;
+      label.renderOrder = 1;
+      label.position.set(...position);
+      group.add(label);
+    });
+
+    return group;
+  }
+
+  /**
+   * Measure how much of each shelf tier is taken up. Objects resting on a stand or
+   * weighted-base overlap it, so occupied length is the union of their footprints.
+   * @param {string} unit - 'in' or 'cm' (default: the ruler unit)
+   * @returns {Object} - { unit, tiers: [{ tier, width, occupied, free, objectCount }], width, occupied, free }
+   */
+  getArrangementSummary(unit = this.config.rulerUnit) {
+    const tiers = this.shelfTiers.map(tier => {
+      const tierObjects = this.sceneObjects.filter(obj => obj.tierIndex === tier.index);
+      const halfWidth = tier.width / 2;
+
+      // Footprints clipped to the tier, sorted by left edge and merged
+      const intervals = tierObjects
+        .map(obj => [
+          Math.max(-halfWidth, obj.group.position.x - obj.bounds.x / 2),
+          Math.min(halfWidth, obj.group.position.x + obj.bounds.x / 2)
+        ])
+        .filter(([start, end]) => end > start)
+        .sort((a, b) => a[0] - b[0]);
+
+      let occupied = 0;
+      let runStart = null;
+      let runEnd = null;
+      intervals.forEach(([start, end]) => {
+        if (runEnd === null || start > runEnd) {
+          if (runEnd !== null) occupied += runEnd - runStart;
+          runStart = start;
+          runEnd = end;
+        } else {
+          runEnd = Math.max(runEnd, end);
+        }
+      });
+      if (runEnd !== null) occupied += runEnd - runStart;
+
+      return {
+        tier: tier.index,
+        width: this.fromSceneUnits(tier.width, unit),
+        occupied: this.fromSceneUnits(occupied, unit),
+        free: this.fromSceneUnits(tier.width - occupied, unit),
+        objectCount: tierObjects.length
+      };
+    });
+
+    const total = field => tiers.reduce((sum, tier) => sum + tier[field], 0);
+    return {
+      unit,
+      tiers,
+      width: total('width'),
+      occupied: total('occupied'),
+      free: total('free')
+    };
+  }
+
+  /**
+   * Finish an object drag, record it in the undo history and notify listeners if anything moved
+   */
+  finishObjectDrag() {
+    const draggedObject = this.selectedObject;
+    const startPlacements = this.isDraggingObject ? this.dragStartPlacements : null;
+
+    this.isDraggingObject = false;
+    this.dragStartPlacements = null;
+
+    if (!draggedObject || !startPlacements) return;
+
+    const moved = this.recordPlacementChange(startPlacements, draggedObject);
+    if (moved) {
+      const event = new CustomEvent('objectMoved', {
+        detail: { id: draggedObject.id, object: draggedObject }
+      });
+      this.container.dispatchEvent(event);
+    }
   }
 
   /**
-   * Update shader uniform for split-color materials to track object center position (NEW)
+   * Update the split-plane zone materials to track the object's center position (NEW)
    * @param {Object} sceneObject - The scene object whose shader uniforms should be updated
    */
   updateSplitColorShaderUniforms(sceneObject) {
-    const centerZ = sceneObject.group.position.z;
     sceneObject.group.traverse(child => {
-      if (child instanceof THREE.Mesh &&
-          child.material instanceof THREE.ShaderMaterial &&
-          child.material.uniforms.objectCenterZ !== undefined) {
-        child.material.uniforms.objectCenterZ.value = centerZ;
+      if (child instanceof THREE.Mesh && child.material.userData.zoneUniforms) {
+        child.material.userData.zoneUniforms.objectCenter.value.copy(sceneObject.group.position);
       }
     });
   }
@@ -1041,98 +1846,94 @@ class OBJViewer {
   /**
    * Check if dragged object is near a snap target (NEW - Snap Feature)
    * @param {Object} draggedObject - The scene object being dragged
-   * @returns {Object|null} - { target: sceneObject, type: 'modular-stand'|'weighted-base' } or null
+   * @param {number} maxDistance - Farthest X distance to snap from (default: snapThreshold)
+   * @returns {Object|null} - { target: sceneObject, type: connector type, connector } or null
    */
-  checkSnapTargets(draggedObject) {
-    // Only MagCaseAssembled can snap to other objects
-    if (!decodeURIComponent(draggedObject.objPath).toLowerCase().replace(/[_\s]/g, '').includes('magcaseassembled')) {
+  checkSnapTargets(draggedObject, maxDistance = this.snapThreshold) {
+    // Only products that fit into a connector can snap to other objects
+    if (!draggedObject.product.fits) {
       return null;
     }
 
     const draggedX = draggedObject.group.position.x;
     let closestTarget = null;
-    let closestDistance = this.snapThreshold;
-    let targetType = null;
+    let closestDistance = maxDistance;
+    let closestConnector = null;
 
-    // Find all valid snap targets (MagCase Stand and Weighted Base)
+    // Find all objects with a free connector that accepts the dragged product
     this.sceneObjects.forEach(obj => {
       if (obj === draggedObject) return; // Skip self
+      if (obj.tierIndex !== draggedObject.tierIndex) return; // Only snap within the same tier
 
-      const normalizedPath = decodeURIComponent(obj.objPath).toLowerCase().replace(/[_\s]/g, '-');
-      const isModularStand = normalizedPath.includes('modular-stand');
-      const isWeightedBase = normalizedPath.includes('weighted-base');
-
-      if (isModularStand || isWeightedBase) {
-        // For modular_stand, check if already occupied (only 1 magcase allowed)
-        if (isModularStand) {
-          // Check if any magcase is already snapped to this stand
-          const isOccupied = Array.from(this.assembledToSlot.entries()).some(
-            ([assembledId, slotInfo]) =>
-              slotInfo.baseId === obj.id &&
-              slotInfo.slotIndex === null &&
-              assembledId !== draggedObject.id  // Allow re-snapping the same object
-          );
-          if (isOccupied) return; // Stand already has a magcase
-        }
+      const connector = this.getConnectorFor(obj, draggedObject);
+      if (!connector) return;
 
-        // For weighted-base, check if it has available slots
-        if (isWeightedBase) {
-          const slots = this.weightedBaseSlots.get(obj.id);
-          if (!slots) return; // Slots not initialized yet
+      // Row connectors need initialized slots (slot spacing is known once one fitting product exists)
+      if (connector.layout === 'row' && !this.weightedBaseSlots.get(obj.id)) return;
 
-          const hasAvailableSlot = slots.some(slot => slot.assembledObj === null);
-          if (!hasAvailableSlot) return; // All slots occupied
-        }
+      // Allow re-snapping the same object
+      if (!this.hasFreeSlot(obj, connector, draggedObject)) return;
 
-        const distance = Math.abs(draggedX - obj.group.position.x);
-        if (distance < closestDistance) {
-          closestDistance = distance;
-          closestTarget = obj;
-          targetType = isWeightedBase ? 'weighted-base' : 'modular-stand';
-        }
+      const distance = Math.abs(draggedX - obj.group.position.x);
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closestTarget = obj;
+        closestConnector = connector;
       }
     });
 
-    return closestTarget ? { target: closestTarget, type: targetType } : null;
+    return closestTarget
+      ? { target: closestTarget, type: closestConnector.type, connector: closestConnector }
+      : null;
   }
 
   /**
-   * Snap assembled object to target (NEW - Snap Feature)
-   * @param {Object} assembledObj - The MagCaseAssembled object to snap
-   * @param {Object} snapInfo - { target: sceneObject, type: 'modular-stand'|'weighted-base' }
+   * Snap an object into a connector of the target (NEW - Snap Feature)
+   * @param {Object} assembledObj - The object to snap (e.g. a MagCaseAssembled)
+   * @param {Object} snapInfo - { target: sceneObject, slotIndex?: number }; the connector is
+   *   looked up from the target's product definition
    */
   snapToObject(assembledObj, snapInfo) {
-    const { target: targetObj, type: targetType } = snapInfo;
+    const { target: targetObj, slotIndex } = snapInfo;
+    const connector = snapInfo.connector || this.getConnectorFor(targetObj, assembledObj);
+    if (!connector) {
+      console.warn(`${targetObj.id} has no connector that accepts ${assembledObj.id}`);
+      return;
+    }
 
     // Center X position over target
     assembledObj.group.position.x = targetObj.group.position.x;
 
-    if (targetType === 'modular-stand') {
-      // Modular stand: raise slightly above shelf
-      assembledObj.group.position.y = assembledObj.baseShelfY + this.snapYOffset;
-      assembledObj.group.position.z = 0;
+    if (connector.layout === 'single') {
+      // Single connector (e.g. modular stand): rest on top of the target
+      const offsetY = typeof connector.offsetY === 'number' ? connector.offsetY : this.snapYOffset;
+      assembledObj.group.position.y = assembledObj.baseShelfY + offsetY;
+      assembledObj.group.position.z = connector.offsetZ || 0;
 
       // Update shader uniforms for split-color materials
       this.updateSplitColorShaderUniforms(assembledObj);
 
-      // Track relationship using same Map as weighted-base (no slotIndex needed)
+      // Track relationship using same Map as row connectors (no slotIndex needed)
       this.assembledToSlot.set(assembledObj.id, {
         baseId: targetObj.id,
-        slotIndex: null  // No slots for modular_stand
+        slotIndex: null  // No slots for single connectors
       });
 
-    } else if (targetType === 'weighted-base') {
-      // Weighted-base: find first available slot
+    } else if (connector.layout === 'row') {
+      // Row connector (e.g. weighted-base): find first available slot
       const slots = this.weightedBaseSlots.get(targetObj.id);
       if (!slots) {
-        console.error('No slots found for weighted-base:', targetObj.id);
+        console.error('No slots found for:', targetObj.id);
         return;
       }
 
-      // Find first available slot
-      const availableSlot = slots.find(slot => slot.assembledObj === null);
+      // Use the requested slot if it is free, otherwise the first available slot
+      const requestedSlot = typeof slotIndex === 'number' ? slots[slotIndex] : null;
+      const availableSlot = requestedSlot && requestedSlot.assembledObj === null
+        ? requestedSlot
+        : slots.find(slot => slot.assembledObj === null);
       if (!availableSlot) {
-        console.warn('No available slots in weighted-base:', targetObj.id);
+        console.warn('No available slots in:', targetObj.id);
         return;
       }
 
@@ -1151,8 +1952,6 @@ class OBJViewer {
         baseId: targetObj.id,
         slotIndex: availableSlot.slotIndex
       });
-
-      console.log(`Snapped ${assembledObj.id} to weighted-base ${targetObj.id}, slot ${availableSlot.slotIndex}`);
     }
   }
 
@@ -1161,18 +1960,8 @@ class OBJViewer {
    * @param {Object} assembledObj - The MagCaseAssembled object to unsnap
    */
   unsnapObject(assembledObj) {
-    // Check if object is snapped to modular_stand or weighted-base
-    const slotInfo = this.assembledToSlot.get(assembledObj.id);
-    if (slotInfo) {
-      // Free the slot (only for weighted-base with slotIndex)
-      if (slotInfo.slotIndex !== null) {
-        const slots = this.weightedBaseSlots.get(slotInfo.baseId);
-        if (slots && slots[slotInfo.slotIndex]) {
-          slots[slotInfo.slotIndex].assembledObj = null;
-        }
-      }
-      this.assembledToSlot.delete(assembledObj.id);
-    }
+    // Free the modular_stand or weighted-base slot the object occupies
+    this.releaseSnap(assembledObj);
 
     // Restore original shelf Y position
     assembledObj.group.position.y = assembledObj.baseShelfY;
@@ -1185,23 +1974,62 @@ class OBJViewer {
   }
 
   /**
-   * Initialize slot positions for a weighted-base organizer (NEW - Multi-Slot Feature)
-   * @param {Object} weightedBaseObj - The weighted-base scene object
+   * Free whatever stand or slot an object is snapped to, without moving it
+   * @param {Object} assembledObj - The snapped scene object
    */
-  initializeWeightedBaseSlots(weightedBaseObj) {
-    if (!this.assembledDepth) {
-      console.warn('Cannot initialize weighted-base slots: MagCaseAssembled depth not yet calculated');
-      return;
-    }
+  releaseSnap(assembledObj) {
+    const slotInfo = this.assembledToSlot.get(assembledObj.id);
+    if (!slotInfo) return;
 
-    const slots = [];
+    // Free the slot (only for weighted-base with slotIndex)
+    if (slotInfo.slotIndex !== null) {
+      const slots = this.weightedBaseSlots.get(slotInfo.baseId);
+      if (slots && slots[slotInfo.slotIndex] && slots[slotInfo.slotIndex].assembledObj === assembledObj) {
+        slots[slotInfo.slotIndex].assembledObj = null;
+      }
+    }
+    this.assembledToSlot.delete(assembledObj.id);
+  }
+
+  /**
+   * Record an object as snapped to a stand (slotIndex null) or weighted-base slot, without moving it
+   * @param {Object} assembledObj - The scene object to snap
+   * @param {string} baseId - ID of the stand or weighted-base
+   * @param {number|null} slotIndex - Weighted-base slot index, or null for a modular stand
+   */
+  occupySnap(assembledObj, baseId, slotIndex) {
+    if (slotIndex !== null) {
+      const slots = this.weightedBaseSlots.get(baseId);
+      if (!slots || !slots[slotIndex]) {
+        console.warn('Cannot occupy missing slot:', baseId, slotIndex);
+        return;
+      }
+      slots[slotIndex].assembledObj = assembledObj;
+    }
+    this.assembledToSlot.set(assembledObj.id, { baseId: baseId, slotIndex: slotIndex });
+  }
+
+  /**
+   * Initialize slot positions for an object with a row connector, e.g. a weighted-base organizer (NEW - Multi-Slot Feature)
+   * @param {Object} weightedBaseObj - The scene object with the row connector
+   */
+  initializeConnectorSlots(weightedBaseObj) {
+    const connector = this.getRowConnector(weightedBaseObj);
+    if (!connector) return;
+
+    const slotSpacing = this.getSlotSpacing(connector);
+    if (!slotSpacing) {
+      console.warn(`Cannot initialize ${connector.type} slots: depth of ${connector.accepts.join('/')} not yet calculated`);
+      return;
+    }
+
+    const slots = [];
     const baseZ = weightedBaseObj.group.position.z;
     const frontEdgeZ = baseZ + (weightedBaseObj.bounds.z / 2);
-    const slotSpacing = this.assembledDepth;
-    const wallOffset = -0.075; // Offset toward the wall (negative Z)
+    const wallOffset = connector.offsetZ || 0; // Offset toward the wall (negative Z)
 
-    // Create 10 slot positions from front to back
-    for (let i = 0; i < this.maxSlotsPerBase; i++) {
+    // Create slot positions from front to back
+    for (let i = 0; i < connector.slots; i++) {
       const snapPointZ = frontEdgeZ - (i * slotSpacing) - (slotSpacing / 2) + wallOffset;
       slots.push({
         assembledObj: null,
@@ -1211,7 +2039,6 @@ class OBJViewer {
     }
 
     this.weightedBaseSlots.set(weightedBaseObj.id, slots);
-    console.log(`Initialized ${this.maxSlotsPerBase} slots for weighted-base: ${weightedBaseObj.id}`);
   }
 
   /**
@@ -1265,11 +2092,11 @@ class OBJViewer {
   }
 
   /**
-   * Move all MagCaseAssembled objects that are in a weighted-base's slots (NEW - Parent-Child Movement)
-   * @param {Object} weightedBaseObj - The weighted-base scene object being dragged
+   * Move all objects snapped into a stand's or weighted-base's connectors (NEW - Parent-Child Movement)
+   * @param {Object} weightedBaseObj - The scene object being dragged
    */
   moveChildrenWithBase(weightedBaseObj) {
-    // Find all MagCaseAssembled objects that are in this weighted-base's slots
+    // Find all objects snapped to this object's connectors
     this.assembledToSlot.forEach((slotInfo, assembledId) => {
       if (slotInfo.baseId === weightedBaseObj.id) {
         // Find the assembled object
@@ -1278,6 +2105,11 @@ class OBJViewer {
           // Set absolute position to match weighted-base (children are centered on base)
           // This prevents accumulation of incremental movements
           assembledObj.group.position.x = weightedBaseObj.group.position.x;
+
+          // Follow the base onto another tier
+          if (assembledObj.tierIndex !== weightedBaseObj.tierIndex) {
+            this.setObjectTier(assembledObj, weightedBaseObj.tierIndex);
+          }
         }
       }
     });
@@ -1305,6 +2137,42 @@ class OBJViewer {
     this.updateCameraPosition();
   }
 
+  /**
+   * Zoom the orbital camera in or out. In the shelf builder a zoom at a screen point heads toward
+   * that point (the cursor or pinch midpoint) by moving the orbit target with it.
+   * @param {number} factor - Radius multiplier (< 1 zooms in, > 1 zooms out)
+   * @param {number} clientX - Optional screen point to zoom toward, in client coordinates
+   * @param {number} clientY
+   */
+  zoomCamera(factor, clientX, clientY) {
+    const controls = this.orbitalControls;
+    const radius = Math.max(controls.minRadius, Math.min(controls.maxRadius, controls.radius * factor));
+    if (radius === controls.radius) return;
+
+    if (this.config.shelfVisible && clientX !== undefined) {
+      // Point under the cursor on the plane through the target, facing the camera
+      this.updateMousePosition({ clientX, clientY });
+      this.raycaster.setFromCamera(this.mouse, this.camera);
+      const normal = this.camera.getWorldDirection(new THREE.Vector3());
+      const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, controls.target);
+      const point = this.raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+
+      if (point) {
+        // Keep that point under the cursor: the target covers the same share of the way to it
+        // as the camera does of the way to the target
+        const amount = 1 - radius / controls.radius;
+        const limits = this.getPanLimits();
+        const targetX = controls.target.x + (point.x - controls.target.x) * amount;
+        const targetY = controls.target.y + (point.y - controls.target.y) * amount;
+        controls.target.x = Math.max(limits.minX, Math.min(limits.maxX, targetX));
+        controls.target.y = Math.max(limits.minY, Math.min(limits.maxY, targetY));
+      }
+    }
+
+    controls.radius = radius;
+    this.updateCameraPosition();
+  }
+
   /**
    * Update camera position from spherical coordinates
    */
@@ -1316,6 +2184,7 @@ class OBJViewer {
     this.camera.position.z = target.z + radius * Math.sin(phi) * Math.cos(theta);
 
     this.camera.lookAt(target);
+    this.invalidate();
   }
 
   /**
@@ -1333,6 +2202,7 @@ class OBJViewer {
     this.orbitalControls.enabled = false;
     this.camera.position.set(0, 0, this.config.cameraDistance);
     this.camera.lookAt(0, 0, 0);
+    this.invalidate();
   }
 
   /**
@@ -1344,7 +2214,7 @@ class OBJViewer {
     const box = new THREE.Box3().setFromObject(this.model);
     const size = box.getSize(new THREE.Vector3());
 
-    const shelfTopY = -1.425;
+    const shelfTopY = this.getTierTopY(0);
     const productBottomOffset = -size.y / 2;
 
     this.productOriginalY = this.model.position.y;
@@ -1383,6 +2253,7 @@ class OBJViewer {
 
     this.assembledModel.visible = visible;
     this.assembledViewConfig.enabled = visible;
+    this.invalidate();
   }
 
   /**
@@ -1395,8 +2266,11 @@ class OBJViewer {
     this.shelf.visible = visible;
     this.config.shelfVisible = visible;
 
-    // Enable/disable shadows based on shelf visibility
-    this.renderer.shadowMap.enabled = visible;
+    // Enable/disable shadows based on shelf visibility. A shared renderer serves every card,
+    // so shared views apply their own setting before each draw (see renderSharedView)
+    if (!this.config.sharedRenderer) {
+      this.renderer.shadowMap.enabled = visible;
+    }
 
     // Toggle shadow casting on the directional light
     if (this.directionalLight) {
@@ -1413,7 +2287,7 @@ class OBJViewer {
       });
     }
 
-    // Toggle shadows on scene objects (NEW)
+    // Toggle shadows on scene objects (NEW); instanced parts copy the flags on the next rebuild
     this.sceneObjects.forEach(obj => {
       obj.group.traverse(child => {
         if (child instanceof THREE.Mesh) {
@@ -1422,13 +2296,14 @@ class OBJViewer {
         }
       });
     });
+    this.instancesDirty = true;
 
     if (wasVisible !== visible) {
       if (visible) {
         this.resetRotation();
         this.positionProductOnShelf();
         // Adjust camera target to look at shelf (lower viewpoint)
-        this.orbitalControls.target.set(0, -0.5, 0);
+        this.orbitalControls.target.set(0, OBJViewer.SHELF_VIEW_TARGET_Y, 0);
         this.updateCameraPosition();
       } else {
         this.resetRotation();
@@ -1440,6 +2315,7 @@ class OBJViewer {
         this.deselectObject();
       }
     }
+    this.invalidate();
   }
 
   /**
@@ -1455,214 +2331,182 @@ class OBJViewer {
         child.material.color.setHex(hexColor);
       }
     });
+    this.invalidate();
+  }
+
+  /**
+   * Load a 3D model file as the viewer's product (OBJ, GLB/glTF, STL or PLY; see loadModelFile())
+   * @param {string} modelPath - Path to the model file
+   * @param {string} mtlPath - Optional .mtl file (OBJ models only)
+   * @param {Function} onProgress - Optional download progress callback
+   * @returns {Promise} - Resolves with the model's outer group
+   */
+  loadModel(modelPath, mtlPath = null, onProgress = null) {
+    return this.loadModelFile(modelPath, { mtlPath, onProgress }).then(object => this.placeModel(object));
   }
 
   /**
-   * Load an OBJ 3D model file
+   * Load an OBJ 3D model file. Kept for existing pages; any format loadModel() reads works here too.
    */
   loadOBJ(objPath, mtlPath = null, onProgress = null) {
-    return new Promise((resolve, reject) => {
-      const loader = new THREE.OBJLoader();
-
-      if (mtlPath) {
-        const mtlLoader = new THREE.MTLLoader();
-        mtlLoader.load(
-          mtlPath,
-          (materials) => {
-            materials.preload();
-            loader.setMaterials(materials);
-            this.loadModel(loader, objPath, onProgress, resolve, reject);
-          },
-          onProgress,
-          reject
-        );
-      } else {
-        this.loadModel(loader, objPath, onProgress, resolve, reject);
-      }
-    });
+    return this.loadModel(objPath, mtlPath, onProgress);
   }
 
   /**
-   * Load assembled view model (second OBJ file to display above the main model)
+   * Load assembled view model (second model file to display above the main model)
    */
   loadAssembledModel(objPath, mtlPath = null, onProgress = null) {
-    return new Promise((resolve, reject) => {
-      const loader = new THREE.OBJLoader();
-
-      if (mtlPath) {
-        const mtlLoader = new THREE.MTLLoader();
-        mtlLoader.load(
-          mtlPath,
-          (materials) => {
-            materials.preload();
-            loader.setMaterials(materials);
-            this.loadAssembledModelInternal(loader, objPath, onProgress, resolve, reject);
-          },
-          onProgress,
-          reject
-        );
-      } else {
-        this.loadAssembledModelInternal(loader, objPath, onProgress, resolve, reject);
-      }
-    });
+    return this.loadModelFile(objPath, { mtlPath, onProgress }).then(object => this.placeAssembledModel(object));
   }
 
   /**
-   * Internal method to load and process assembled OBJ model
+   * Internal method to process the loaded assembled model
+   * @param {THREE.Group} object - Result of loadModelFile()
+   * @returns {THREE.Group} - The assembled model's outer group
    */
-  loadAssembledModelInternal(loader, objPath, onProgress, resolve, reject) {
-    loader.load(
-      objPath,
-      (object) => {
-        if (this.assembledModel) {
-          this.scene.remove(this.assembledModel);
-        }
+  placeAssembledModel(object) {
+    if (this.assembledModel) {
+      this.scene.remove(this.assembledModel);
+    }
 
-        // Apply default material (use assembledModelColor for assembled model)
-        object.traverse((child) => {
-          if (child instanceof THREE.Mesh) {
-            if (!child.material || !child.material.map) {
-              child.material = new THREE.MeshPhongMaterial({
-                color: this.config.assembledModelColor,
-                shininess: 30
-              });
-            }
-            // Enable shadows on assembled model
-            child.castShadow = true;
-            child.receiveShadow = true;
-          }
-        });
+    // Apply default material (use assembledModelColor for assembled model); keep materials from glTF files
+    object.traverse((child) => {
+      if (child instanceof THREE.Mesh) {
+        if (!child.userData.fileMaterial && (!child.material || !child.material.map)) {
+          child.material = new THREE.MeshPhongMaterial({
+            color: this.config.assembledModelColor,
+            shininess: 30
+          });
+        }
+        // Enable shadows on assembled model
+        child.castShadow = true;
+        child.receiveShadow = true;
+      }
+    });
 
-        // Calculate bounding box and center
-        const box = new THREE.Box3().setFromObject(object);
-        const center = box.getCenter(new THREE.Vector3());
-        const size = box.getSize(new THREE.Vector3());
+    // Calculate bounding box and center
+    const box = new THREE.Box3().setFromObject(object);
+    const center = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3());
 
-        // Center the object
-        object.position.sub(center);
+    // Center the object
+    object.position.sub(center);
 
-        // Create inner group for initial rotation and scaling
-        const innerGroup = new THREE.Group();
-        innerGroup.add(object);
+    // Create inner group for initial rotation and scaling
+    const innerGroup = new THREE.Group();
+    innerGroup.add(object);
 
-        // Scale to match main model
-        if (this.config.useRealWorldScale) {
-          const globalScale = 0.25;
-          innerGroup.scale.multiplyScalar(globalScale);
-        } else {
-          const maxDim = Math.max(size.x, size.y, size.z);
-          const scale = 2 / maxDim;
-          innerGroup.scale.multiplyScalar(scale);
-        }
+    // Scale to match main model
+    if (this.config.useRealWorldScale) {
+      const globalScale = OBJViewer.REAL_WORLD_SCALE;
+      innerGroup.scale.multiplyScalar(globalScale);
+    } else {
+      const maxDim = Math.max(size.x, size.y, size.z);
+      const scale = 2 / maxDim;
+      innerGroup.scale.multiplyScalar(scale);
+    }
 
-        // Apply specific rotation for assembled model to sit properly on stand
-        innerGroup.rotation.x = 0;
-        innerGroup.rotation.y = 0;
-        innerGroup.rotation.z = 0;
+    // Apply specific rotation for assembled model to sit properly on stand
+    innerGroup.rotation.x = 0;
+    innerGroup.rotation.y = 0;
+    innerGroup.rotation.z = 0;
 
-        // Create outer group for user/auto rotations
-        const outerGroup = new THREE.Group();
-        outerGroup.add(innerGroup);
+    // Create outer group for user/auto rotations
+    const outerGroup = new THREE.Group();
+    outerGroup.add(innerGroup);
 
-        // Calculate the depth (Z dimension) after scaling
-        const scaledSize = size.clone().multiplyScalar(
-          this.config.useRealWorldScale ? 0.25 : (2 / Math.max(size.x, size.y, size.z))
-        );
-        const halfDepth = scaledSize.z / 2;
+    // Calculate the depth (Z dimension) after scaling
+    const scaledSize = size.clone().multiplyScalar(
+      this.config.useRealWorldScale ? OBJViewer.REAL_WORLD_SCALE : (2 / Math.max(size.x, size.y, size.z))
+    );
+    const halfDepth = scaledSize.z / 2;
 
-        // Position above the main model with Z offset at half the depth
-        outerGroup.position.y = this.assembledViewConfig.yOffset;
-        outerGroup.position.z = -halfDepth; // Negative moves away from camera
+    // Position above the main model with Z offset at half the depth
+    outerGroup.position.y = this.assembledViewConfig.yOffset;
+    outerGroup.position.z = -halfDepth; // Negative moves away from camera
 
-        // Store original Y and Z positions for shelf toggle
-        this.assembledOriginalY = outerGroup.position.y;
-        this.assembledOriginalZ = outerGroup.position.z;
+    // Store original Y and Z positions for shelf toggle
+    this.assembledOriginalY = outerGroup.position.y;
+    this.assembledOriginalZ = outerGroup.position.z;
 
-        this.assembledModel = outerGroup;
-        this.assembledModel.visible = this.assembledViewConfig.enabled;
-        this.scene.add(this.assembledModel);
+    this.assembledModel = outerGroup;
+    this.assembledModel.visible = this.assembledViewConfig.enabled;
+    this.scene.add(this.assembledModel);
+    this.invalidate();
 
-        resolve(outerGroup);
-      },
-      onProgress,
-      reject
-    );
+    return outerGroup;
   }
 
   /**
-   * Internal method to load and process OBJ model
+   * Internal method to process the loaded main model
+   * @param {THREE.Group} object - Result of loadModelFile()
+   * @returns {THREE.Group} - The model's outer group
    */
-  loadModel(loader, objPath, onProgress, resolve, reject) {
-    loader.load(
-      objPath,
-      (object) => {
-        if (this.model) {
-          this.scene.remove(this.model);
-        }
+  placeModel(object) {
+    if (this.model) {
+      this.scene.remove(this.model);
+    }
 
-        // Apply default material
-        object.traverse((child) => {
-          if (child instanceof THREE.Mesh) {
-            if (!child.material || !child.material.map) {
-              child.material = new THREE.MeshPhongMaterial({
-                color: this.config.modelColor,
-                shininess: 30
-              });
-            }
-            // Enable shadows on model only when shelf is visible
-            child.castShadow = this.config.shelfVisible;
-            child.receiveShadow = this.config.shelfVisible;
-          }
-        });
+    // Apply default material; keep materials from glTF files
+    object.traverse((child) => {
+      if (child instanceof THREE.Mesh) {
+        if (!child.userData.fileMaterial && (!child.material || !child.material.map)) {
+          child.material = new THREE.MeshPhongMaterial({
+            color: this.config.modelColor,
+            shininess: 30
+          });
+        }
+        // Enable shadows on model only when shelf is visible
+        child.castShadow = this.config.shelfVisible;
+        child.receiveShadow = this.config.shelfVisible;
+      }
+    });
 
-        // Calculate bounding box and center
-        const box = new THREE.Box3().setFromObject(object);
-        const center = box.getCenter(new THREE.Vector3());
-        const size = box.getSize(new THREE.Vector3());
+    // Calculate bounding box and center
+    const box = new THREE.Box3().setFromObject(object);
+    const center = box.getCenter(new THREE.Vector3());
+    const size = box.getSize(new THREE.Vector3());
 
-        // Center the object
-        object.position.sub(center);
+    // Center the object
+    object.position.sub(center);
 
-        // Create inner group for initial rotation and scaling
-        const innerGroup = new THREE.Group();
-        innerGroup.add(object);
+    // Create inner group for initial rotation and scaling
+    const innerGroup = new THREE.Group();
+    innerGroup.add(object);
 
-        // Scale to fit view
-        if (this.config.useRealWorldScale) {
-          // Use real-world scale for consistent sizing across models
-          const globalScale = 0.25;
-          innerGroup.scale.multiplyScalar(globalScale);
-        } else {
-          // Auto-scale to fit view (default behavior for product cards)
-          const maxDim = Math.max(size.x, size.y, size.z);
-          const scale = 2 / maxDim;
-          innerGroup.scale.multiplyScalar(scale);
-        }
+    // Scale to fit view
+    if (this.config.useRealWorldScale) {
+      // Use real-world scale for consistent sizing across models
+      const globalScale = OBJViewer.REAL_WORLD_SCALE;
+      innerGroup.scale.multiplyScalar(globalScale);
+    } else {
+      // Auto-scale to fit view (default behavior for product cards)
+      const maxDim = Math.max(size.x, size.y, size.z);
+      const scale = 2 / maxDim;
+      innerGroup.scale.multiplyScalar(scale);
+    }
 
-        // Apply initial rotation
-        if (this.config.initialRotation) {
-          innerGroup.rotation.x = this.config.initialRotation.x || 0;
-          innerGroup.rotation.y = this.config.initialRotation.y || 0;
-          innerGroup.rotation.z = this.config.initialRotation.z || 0;
-        }
+    // Apply initial rotation
+    if (this.config.initialRotation) {
+      innerGroup.rotation.x = this.config.initialRotation.x || 0;
+      innerGroup.rotation.y = this.config.initialRotation.y || 0;
+      innerGroup.rotation.z = this.config.initialRotation.z || 0;
+    }
 
-        // Create outer group for user/auto rotations
-        const outerGroup = new THREE.Group();
-        outerGroup.add(innerGroup);
+    // Create outer group for user/auto rotations
+    const outerGroup = new THREE.Group();
+    outerGroup.add(innerGroup);
 
-        this.model = outerGroup;
-        this.scene.add(this.model);
+    this.model = outerGroup;
+    this.scene.add(this.model);
+    this.invalidate();
 
-        // If shelf is visible, position product on it
-        if (this.config.shelfVisible) {
-          this.positionProductOnShelf();
-        }
+    // If shelf is visible, position product on it
+    if (this.config.shelfVisible) {
+      this.positionProductOnShelf();
+    }
 
-        resolve(outerGroup);
-      },
-      onProgress,
-      reject
-    );
+    return outerGroup;
   }
 
   /**
@@ -1676,11 +2520,12 @@ class OBJViewer {
 
     this.model.traverse((child) => {
       if (child instanceof THREE.Mesh) {
-        if (!child.material.map) {
+        if (!child.material.map && !child.userData.fileMaterial) {
           child.material.color.setHex(hexColor);
         }
       }
     });
+    this.invalidate();
   }
 
   /**
@@ -1694,11 +2539,208 @@ class OBJViewer {
 
     this.assembledModel.traverse((child) => {
       if (child instanceof THREE.Mesh) {
-        if (!child.material.map) {
+        if (!child.material.map && !child.userData.fileMaterial) {
           child.material.color.setHex(hexColor);
         }
       }
     });
+    this.invalidate();
+  }
+
+  // ==========================================
+  // MODEL FILE FORMATS
+  // ==========================================
+
+  /**
+   * Load a model file of any supported format (OBJ, GLB/glTF, STL, PLY) and normalize it into a
+   * group of meshes, so callers can wrap it in the usual inner/outer groups whatever the source.
+   * The format comes from the file extension, or from the file's contents when the extension is
+   * missing or unknown. Formats other than OBJ need their loader script (THREE.GLTFLoader,
+   * THREE.STLLoader, THREE.PLYLoader), which is fetched from the CDN the first time it's needed
+   * unless the page already includes it. Models are expected in inches, like the product OBJs.
+   * @param {string} modelPath - Path to the model file
+   * @param {Object} options - Load options
+   * @param {string} options.mtlPath - Material library for OBJ models
+   * @param {Function} options.onProgress - Download progress callback
+   * @returns {Promise} - Resolves with a THREE.Group holding the model's meshes
+   */
+  loadModelFile(modelPath, options = {}) {
+    const materialsReady = options.mtlPath ? this.loadMaterialLibrary(options.mtlPath, options.onProgress) : Promise.resolve(null);
+
+    return materialsReady.then(materials => new Promise((resolve, reject) => {
+      const fileLoader = new THREE.FileLoader();
+      fileLoader.setResponseType('arraybuffer');
+      fileLoader.load(modelPath, resolve, options.onProgress, reject);
+    }).then(buffer => {
+      const format = this.detectModelFormat(modelPath, buffer);
+      return this.parseModelData(format, buffer, modelPath, materials);
+    }));
+  }
+
+  /**
+   * Load and preload an OBJ material library
+   * @param {string} mtlPath - Path to the .mtl file
+   * @param {Function} onProgress - Download progress callback
+   * @returns {Promise} - Resolves with the MTLLoader's MaterialCreator
+   */
+  loadMaterialLibrary(mtlPath, onProgress) {
+    return new Promise((resolve, reject) => {
+      new THREE.MTLLoader().load(mtlPath, (materials) => {
+        materials.preload();
+        resolve(materials);
+      }, onProgress, reject);
+    });
+  }
+
+  /**
+   * Work out a model file's format from its extension, falling back to sniffing its contents
+   * @param {string} modelPath - Path to the model file
+   * @param {ArrayBuffer} buffer - File contents
+   * @returns {string} - 'obj', 'gltf', 'stl' or 'ply'
+   */
+  detectModelFormat(modelPath, buffer) {
+    const fileName = decodeURIComponent(modelPath).split(/[?#]/)[0].split('/').pop();
+    const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+    if (OBJViewer.MODEL_FORMATS[extension]) {
+      return OBJViewer.MODEL_FORMATS[extension];
+    }
+
+    const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 80));
+    const header = String.fromCharCode.apply(null, bytes);
+    if (header.startsWith('glTF') || /^\s*\{/.test(header)) return 'gltf';
+    if (header.startsWith('ply')) return 'ply';
+
+    // Binary STL: 80-byte header, triangle count, then 50 bytes per triangle
+    if (buffer.byteLength >= 84) {
+      const triangles = new DataView(buffer).getUint32(80, true);
+      if (84 + triangles * 50 === buffer.byteLength) return 'stl';
+    }
+    // ASCII STL (checked after binary STL, whose free-form header may also start with "solid")
+    if (/^\s*solid/.test(header)) return 'stl';
+
+    return 'obj';
+  }
+
+  /**
+   * Parse model file contents with the loader for its format
+   * @param {string} format - Result of detectModelFormat()
+   * @param {ArrayBuffer} buffer - File contents
+   * @param {string} modelPath - Path the file came from (resolves glTF's external resources)
+   * @param {Object} materials - MTLLoader materials for OBJ models (or null)
+   * @returns {Promise} - Resolves with a THREE.Group holding the model's meshes
+   */
+  parseModelData(format, buffer, modelPath, materials) {
+    return OBJViewer.loadModelLoader(format)
+      .then(() => this.parseWithLoader(format, buffer, modelPath, materials));
+  }
+
+  /**
+   * Run the format's loader over the file contents (the loader script is already present)
+   * @param {string} format - Result of detectModelFormat()
+   * @param {ArrayBuffer} buffer - File contents
+   * @param {string} modelPath - Path the file came from
+   * @param {Object} materials - MTLLoader materials for OBJ models (or null)
+   * @returns {Promise} - Resolves with a THREE.Group holding the model's meshes
+   */
+  parseWithLoader(format, buffer, modelPath, materials) {
+    const name = decodeURIComponent(modelPath).split(/[?#]/)[0].split('/').pop().replace(/\.[^.]*$/, '');
+
+    switch (format) {
+      case 'gltf':
+        return new Promise((resolve, reject) => {
+          new THREE.GLTFLoader().parse(buffer, THREE.LoaderUtils.extractUrlBase(modelPath), (gltf) => {
+            // glTF materials are authored with the model, so the default product color never replaces them
+            gltf.scene.traverse(child => {
+              if (child instanceof THREE.Mesh) child.userData.fileMaterial = true;
+            });
+            resolve(gltf.scene);
+          }, reject);
+        });
+      case 'stl':
+        return Promise.resolve(this.createGeometryGroup(new THREE.STLLoader().parse(buffer), name));
+      case 'ply':
+        return Promise.resolve(this.createGeometryGroup(new THREE.PLYLoader().parse(buffer), name));
+      default:
+        // MTL materials can't be sent to a worker, so those models are parsed here
+        if (this.config.parseInWorker && !materials) {
+          return OBJViewer.parseOBJInWorker(buffer)
+            .then(meshes => this.createParsedOBJ(meshes))
+            .catch(() => this.parseOBJ(buffer, null));
+        }
+        return Promise.resolve(this.parseOBJ(buffer, materials));
+    }
+  }
+
+  /**
+   * Parse an OBJ file on the main thread
+   * @param {ArrayBuffer} buffer - File contents
+   * @param {Object} materials - MTLLoader materials (or null)
+   * @returns {THREE.Group}
+   */
+  parseOBJ(buffer, materials) {
+    const loader = new THREE.OBJLoader();
+    if (materials) {
+      loader.setMaterials(materials);
+    }
+    return loader.parse(new TextDecoder().decode(buffer));
+  }
+
+  /**
+   * Rebuild a model from the mesh data the parser worker sent back, with the same default
+   * materials OBJLoader creates in-thread (flat shading, vertex colors, material groups)
+   * @param {Array} meshes - [{ type, name, attributes, groups, materials }] (see obj-parser-worker.js)
+   * @returns {THREE.Group}
+   */
+  createParsedOBJ(meshes) {
+    const group = new THREE.Group();
+
+    meshes.forEach(data => {
+      const geometry = new THREE.BufferGeometry();
+      Object.keys(data.attributes).forEach(name => {
+        const attribute = data.attributes[name];
+        geometry.setAttribute(name, new THREE.BufferAttribute(attribute.array, attribute.itemSize));
+      });
+      data.groups.forEach(range => geometry.addGroup(range.start, range.count, range.materialIndex));
+
+      const materials = data.materials.map(settings => {
+        let material;
+        if (data.type === 'LineSegments') {
+          material = new THREE.LineBasicMaterial();
+        } else if (data.type === 'Points') {
+          material = new THREE.PointsMaterial({ size: 1, sizeAttenuation: false });
+        } else {
+          material = new THREE.MeshPhongMaterial({ flatShading: settings.flatShading });
+        }
+        material.name = settings.name;
+        material.vertexColors = settings.vertexColors;
+        return material;
+      });
+
+      const mesh = new THREE[data.type](geometry, materials.length > 1 ? materials : materials[0]);
+      mesh.name = data.name;
+      group.add(mesh);
+    });
+
+    return group;
+  }
+
+  /**
+   * Wrap a bare geometry (STL, PLY) in a group with one mesh, as OBJLoader returns it
+   * @param {THREE.BufferGeometry} geometry - Parsed geometry
+   * @param {string} name - Mesh name
+   * @returns {THREE.Group}
+   */
+  createGeometryGroup(geometry, name) {
+    if (!geometry.attributes.normal) {
+      geometry.computeVertexNormals();
+    }
+
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshPhongMaterial());
+    mesh.name = name;
+
+    const group = new THREE.Group();
+    group.add(mesh);
+    return group;
   }
 
   // ==========================================
@@ -1706,211 +2748,348 @@ class OBJViewer {
   // ==========================================
 
   /**
-   * Create a split color shader material for two-tone coloring along Z axis
+   * Resolve the color of every zone of a product from addObjectToScene options.
+   * options.colors is keyed by zone name; options.color and options.colorB still color the first
+   * and second zone. Zones without a color take the first zone's color.
+   * @param {Object} product - Product definition
+   * @param {Object} options - { colors?, color?, colorB? }
+   * @returns {Object} - { zoneName: hex number }
+   */
+  resolveZoneColors(product, options) {
+    const toNumber = color => (typeof color === 'string' ? parseInt(color.replace('#', '0x')) : color);
+    const given = options.colors || {};
+    const legacy = [options.color, options.colorB];
+
+    const colors = {};
+    product.colorZones.forEach((zone, index) => {
+      const color = given[zone.name] !== undefined ? given[zone.name] : legacy[index];
+      if (color !== undefined && color !== null) {
+        colors[zone.name] = toNumber(color);
+      }
+    });
+
+    const firstZone = product.colorZones[0].name;
+    if (colors[firstZone] === undefined) {
+      colors[firstZone] = this.config.modelColor;
+    }
+    product.colorZones.forEach(zone => {
+      if (colors[zone.name] === undefined) {
+        colors[zone.name] = colors[firstZone];
+      }
+    });
+    return colors;
+  }
+
+  /**
+   * Give every mesh of a loaded model the material for its color zone. Meshes named in a zone's
+   * groups get a plain Phong material; the rest share one material that picks a color per
+   * fragment from the product's split-plane zones (or just the default zone's color).
+   * @param {THREE.Object3D} object - Loaded model
+   * @param {Object} product - Product definition
+   * @param {Object} colors - Result of resolveZoneColors()
+   * @returns {Array} - Clones of the assigned materials
+   */
+  applyZoneMaterials(object, product, colors) {
+    const zones = product.colorZones;
+    const planeZones = zones.filter(zone => zone.axis);
+    const defaultZone = zones.find(zone => !zone.axis && !zone.groups) || zones[0];
+
+    const sharedMaterial = this.createZoneMaterial(planeZones, colors, colors[defaultZone.name]);
+    const groupMaterials = {};
+    const materials = [];
+
+    object.traverse((child) => {
+      if (!(child instanceof THREE.Mesh)) return;
+
+      const meshName = (child.name || '').toLowerCase();
+      const groupZone = zones.find(zone => zone.groups &&
+        zone.groups.some(group => group.toLowerCase() === meshName));
+
+      if (groupZone) {
+        if (!groupMaterials[groupZone.name]) {
+          groupMaterials[groupZone.name] = this.createZoneMaterial([], colors, colors[groupZone.name]);
+          groupMaterials[groupZone.name].userData.colorZone = groupZone.name;
+        }
+        child.material = groupMaterials[groupZone.name];
+      } else {
+        child.material = sharedMaterial;
+      }
+
+      materials.push(child.material.clone());
+      child.castShadow = true;
+      child.receiveShadow = true;
+    });
+
+    sharedMaterial.userData.colorZone = defaultZone.name;
+    return materials;
+  }
+
+  /**
+   * Create a lit material for color zones. It is a regular Phong material (lit by the scene's
+   * lights, casts and receives shadows, highlights on selection). With split-plane zones its
+   * diffuse color switches per fragment to the first zone whose range along the zone's axis,
+   * measured from the object's center, contains the fragment; anything outside every range
+   * keeps defaultColor. The object center lives in material.userData.zoneUniforms
+   * (see updateSplitColorShaderUniforms).
+   * @param {Array} planeZones - Zones with { name, axis, min?, max? }
+   * @param {Object} colors - { zoneName: hex number }
+   * @param {number} defaultColor - Color outside every zone
+   * @returns {THREE.MeshPhongMaterial}
    */
-  createSplitColorMaterial(colorA, colorB) {
-    return new THREE.ShaderMaterial({
-      uniforms: {
-        colorA: { value: new THREE.Color(colorA) },
-        colorB: { value: new THREE.Color(colorB) },
-        objectCenterZ: { value: 0.0 }
+  createZoneMaterial(planeZones, colors, defaultColor) {
+    const material = new THREE.MeshPhongMaterial({
+      color: defaultColor,
+      shininess: 30,
+      emissive: 0x000000,
+      side: planeZones.length > 0 ? THREE.DoubleSide : THREE.FrontSide
+    });
+    if (planeZones.length === 0) return material;
+
+    const axes = { x: new THREE.Vector3(1, 0, 0), y: new THREE.Vector3(0, 1, 0), z: new THREE.Vector3(0, 0, 1) };
+    const zoneUniforms = {
+      zoneColors: { value: planeZones.map(zone => new THREE.Color(colors[zone.name])) },
+      zoneAxes: { value: planeZones.map(zone => axes[zone.axis].clone()) },
+      zoneRanges: {
+        value: planeZones.map(zone => new THREE.Vector2(
+          typeof zone.min === 'number' ? zone.min : -OBJViewer.ZONE_RANGE_LIMIT,
+          typeof zone.max === 'number' ? zone.max : OBJViewer.ZONE_RANGE_LIMIT
+        ))
       },
-      vertexShader: [
-        'varying vec3 vWorldPosition;',
-        'varying vec3 vNormal;',
-        'void main() {',
-        '  vWorldPosition = (modelMatrix * vec4(position, 1.0)).xyz;',
-        '  vNormal = normalize(normalMatrix * normal);',
-        '  gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);',
-        '}'
-      ].join('\n'),
-      fragmentShader: [
-        'uniform vec3 colorA;',
-        'uniform vec3 colorB;',
-        'uniform float objectCenterZ;',
-        'varying vec3 vWorldPosition;',
-        'varying vec3 vNormal;',
-        'void main() {',
-        '  float relativeZ = vWorldPosition.z - objectCenterZ;',
-        '  float t = relativeZ < 0.0 ? 1.0 : 0.0;',
-        '  vec3 baseColor = mix(colorA, colorB, t);',
-        '  vec3 lightDir = normalize(vec3(5.0, 5.0, 5.0));',
-        '  float diff = max(dot(vNormal, lightDir), 0.0) * 0.7;',
-        '  float lighting = 0.4 + diff;',
-        '  gl_FragColor = vec4(baseColor * lighting, 1.0);',
-        '}'
-      ].join('\n'),
-      side: THREE.DoubleSide
+      objectCenter: { value: new THREE.Vector3() }
+    };
+    material.userData.zoneUniforms = zoneUniforms;
+    material.userData.zoneNames = planeZones.map(zone => zone.name);
+    material.defines = { COLOR_ZONE_COUNT: planeZones.length };
+
+    material.onBeforeCompile = (shader) => {
+      // Share the uniform objects so updates reach the compiled program
+      Object.assign(shader.uniforms, zoneUniforms);
+
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', '#include <common>\nvarying vec3 vZoneWorldPosition;')
+        .replace('#include <worldpos_vertex>', [
+          '#include <worldpos_vertex>',
+          'vZoneWorldPosition = (modelMatrix * vec4(transformed, 1.0)).xyz;'
+        ].join('\n'));
+
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', [
+          '#include <common>',
+          'uniform vec3 zoneColors[COLOR_ZONE_COUNT];',
+          'uniform vec3 zoneAxes[COLOR_ZONE_COUNT];',
+          'uniform vec2 zoneRanges[COLOR_ZONE_COUNT];',
+          'uniform vec3 objectCenter;',
+          'varying vec3 vZoneWorldPosition;'
+        ].join('\n'))
+        .replace('vec4 diffuseColor = vec4( diffuse, opacity );', [
+          'vec3 zoneOffset = vZoneWorldPosition - objectCenter;',
+          'vec3 zoneColor = diffuse;',
+          'float zoneMatched = 0.0;',
+          'for ( int i = 0; i < COLOR_ZONE_COUNT; i ++ ) {',
+          '  float zoneDistance = dot( zoneOffset, zoneAxes[ i ] );',
+          '  if ( zoneMatched < 0.5 && zoneDistance >= zoneRanges[ i ].x && zoneDistance < zoneRanges[ i ].y ) {',
+          '    zoneColor = zoneColors[ i ];',
+          '    zoneMatched = 1.0;',
+          '  }',
+          '}',
+          'vec4 diffuseColor = vec4( zoneColor, opacity );'
+        ].join('\n'));
+    };
+
+    // Zoned materials with the same number of zones compile to the same program
+    material.customProgramCacheKey = () => 'color-zones-' + planeZones.length;
+
+    return material;
+  }
+
+  /**
+   * Push an object's zone colors (obj.colors) into its materials
+   * @param {Object} obj - Scene object
+   */
+  applyZoneColors(obj) {
+    obj.group.traverse(child => {
+      if (!(child instanceof THREE.Mesh) || child.userData.overlay) return;
+
+      const material = child.material;
+      if (material.userData.colorZone) {
+        material.color.setHex(obj.colors[material.userData.colorZone]);
+      }
+      if (material.userData.zoneUniforms) {
+        material.userData.zoneNames.forEach((name, index) => {
+          material.userData.zoneUniforms.zoneColors.value[index].setHex(obj.colors[name]);
+        });
+      }
     });
+
+    // Keep the first/second zone shorthands in sync
+    const zones = obj.product.colorZones;
+    obj.color = obj.colors[zones[0].name];
+    obj.colorB = zones.length > 1 ? obj.colors[zones[1].name] : null;
   }
 
   /**
    * Add a new object to the scene from a product card/button (NEW)
-   * @param {string} objPath - Path to the .obj file
+   * @param {string} objPath - Path to the model file (OBJ, GLB/glTF, STL or PLY)
    * @param {Object} options - Configuration options
    * @param {string} options.id - Unique identifier for this object
-   * @param {number|string} options.color - Model color (hex or CSS string)
-   * @param {number|string} options.colorB - Second color for split coloring (hex or CSS string)
+   * @param {number|string} options.color - Model color, or the first color zone's (hex or CSS string)
+   * @param {number|string} options.colorB - Second color zone's color (hex or CSS string)
+   * @param {Object} options.colors - Colors keyed by color zone name (takes precedence over color/colorB)
    * @param {number} options.scale - Scale multiplier (default: 1)
    * @param {number} options.positionX - Initial X position on shelf
+   * @param {number} options.tier - Shelf tier to place the object on (default: 0, the bottom tier)
    * @param {Object} options.rotation - Initial rotation { x, y, z }
    * @returns {Promise} - Resolves with the added object data
    */
   addObjectToScene(objPath, options = {}) {
-    return new Promise((resolve, reject) => {
-      const loader = new THREE.OBJLoader();
-      const objectId = options.id || `obj-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-
-      loader.load(
-        objPath,
-        (object) => {
-          const color = options.color 
-            ? (typeof options.color === 'string' ? parseInt(options.color.replace('#', '0x')) : options.color)
-            : this.config.modelColor;
-
-          const originalMaterials = [];
-
-          // Check if split colors should be used (MagCaseAssembled with colorB)
-          const isMagCaseAssembled = decodeURIComponent(objPath).toLowerCase().replace(/[_\s]/g, '').includes('magcaseassembled');
-          const useSplitColor = isMagCaseAssembled && options.colorB;
-          let splitMaterial = null;
-          
-          if (useSplitColor) {
-            const colorB = typeof options.colorB === 'string' 
-              ? parseInt(options.colorB.replace('#', '0x')) 
-              : options.colorB;
-            splitMaterial = this.createSplitColorMaterial(color, colorB);
-          }
+    const objectId = options.id || `obj-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
-          object.traverse((child) => {
-            if (child instanceof THREE.Mesh) {
-              if (useSplitColor && splitMaterial) {
-                child.material = splitMaterial;
-              } else {
-                child.material = new THREE.MeshPhongMaterial({
-                  color: color,
-                  shininess: 30,
-                  emissive: 0x000000
-                });
-              }
-              originalMaterials.push(child.material.clone());
-              child.castShadow = true;
-              child.receiveShadow = true;
-            }
-          });
+    return this.acquireModel(objPath).then(object => {
+      let sceneObject = null;
+      try {
+        // Color every zone of the product (front/back halves, inserts, accents)
+        const product = this.getProductDefinition(objPath);
+        const colors = this.resolveZoneColors(product, options);
+        const originalMaterials = this.applyZoneMaterials(object, product, colors);
 
-          const box = new THREE.Box3().setFromObject(object);
-          const center = box.getCenter(new THREE.Vector3());
-          const size = box.getSize(new THREE.Vector3());
+        const box = new THREE.Box3().setFromObject(object);
+        const center = box.getCenter(new THREE.Vector3());
+        const size = box.getSize(new THREE.Vector3());
 
-          object.position.sub(center);
+        object.position.sub(center);
 
-          const innerGroup = new THREE.Group();
-          innerGroup.add(object);
+        const innerGroup = new THREE.Group();
+        innerGroup.add(object);
 
-          const baseScale = options.scale || 1;
-          if (this.config.useRealWorldScale) {
-            innerGroup.scale.multiplyScalar(0.25 * baseScale);
-          } else {
-            const maxDim = Math.max(size.x, size.y, size.z);
-            const scale = (2 / maxDim) * baseScale;
-            innerGroup.scale.multiplyScalar(scale);
-          }
+        const baseScale = options.scale || 1;
+        if (this.config.useRealWorldScale) {
+          innerGroup.scale.multiplyScalar(OBJViewer.REAL_WORLD_SCALE * baseScale);
+        } else {
+          const maxDim = Math.max(size.x, size.y, size.z);
+          const scale = (2 / maxDim) * baseScale;
+          innerGroup.scale.multiplyScalar(scale);
+        }
 
-          // Apply rotation - either from options or auto-detect based on model
-          if (options.rotation) {
-            innerGroup.rotation.x = options.rotation.x || 0;
-            innerGroup.rotation.y = options.rotation.y || 0;
-            innerGroup.rotation.z = options.rotation.z || 0;
-          } else {
-            // Auto-rotate certain models that need to be tilted back 90 degrees
-            const normalizedPath = decodeURIComponent(objPath).toLowerCase().replace(/[_\s]/g, '-');
-            const needsRotation = normalizedPath.includes('modular-stand') || normalizedPath.includes('weighted-base');
-            if (needsRotation) {
-              innerGroup.rotation.x = -Math.PI / 2; // Rotate 90 degrees backward
-              //innerGroup.rotation.y = Math.PI / 2;  // Rotate 90 degrees clockwise toward wall
+        // Apply rotation - either from options or auto-detect based on model
+        if (options.rotation) {
+          innerGroup.rotation.x = options.rotation.x || 0;
+          innerGroup.rotation.y = options.rotation.y || 0;
+          innerGroup.rotation.z = options.rotation.z || 0;
+        } else if (product.rotation) {
+          // Some models (stands, organizers) are modeled on their back and need tilting upright
+          innerGroup.rotation.x = product.rotation.x || 0;
+          innerGroup.rotation.y = product.rotation.y || 0;
+          innerGroup.rotation.z = product.rotation.z || 0;
+        }
+
+        const outerGroup = new THREE.Group();
+        outerGroup.add(innerGroup);
+
+        const scaledBox = new THREE.Box3().setFromObject(outerGroup);
+        const scaledSize = scaledBox.getSize(new THREE.Vector3());
+
+        // Record the depth of fitting products for row slot spacing (first time only)
+        if (product.fits && !this.fitDepths.has(product.fits)) {
+          this.fitDepths.set(product.fits, scaledSize.z);
+          // Retroactively initialize slots for anything that was waiting on this depth
+          this.sceneObjects.forEach(obj => {
+            const connector = this.getRowConnector(obj);
+            if (connector && connector.accepts.includes(product.fits) && !this.weightedBaseSlots.has(obj.id)) {
+              this.initializeConnectorSlots(obj);
             }
-          }
+          });
+        }
 
-          const outerGroup = new THREE.Group();
-          outerGroup.add(innerGroup);
+        const tierIndex = Math.min(Math.max(options.tier || 0, 0), this.shelfTiers.length - 1);
+        const shelfTopY = this.getTierTopY(tierIndex);
+        outerGroup.position.y = shelfTopY + scaledSize.y / 2;
 
-          const scaledBox = new THREE.Box3().setFromObject(outerGroup);
-          const scaledSize = scaledBox.getSize(new THREE.Vector3());
+        // Some products sit slightly forward on the shelf (e.g. modular stands)
+        outerGroup.position.z = product.shelfZ;
 
-          // Calculate MagCaseAssembled depth for slot spacing (first time only)
-          if (isMagCaseAssembled && this.assembledDepth === null) {
-            this.assembledDepth = scaledSize.z;
-            // Retroactively initialize slots for any existing weighted-bases
-            this.sceneObjects.forEach(obj => {
-              if (obj.objPath.toLowerCase().includes('weighted-base')) {
-                this.initializeWeightedBaseSlots(obj);
-              }
-            });
-          }
+        if (typeof options.positionX === 'number') {
+          outerGroup.position.x = options.positionX;
+        } else {
+          outerGroup.position.x = this.calculateNextPosition(scaledSize.x, tierIndex);
+        }
 
-          const shelfTopY = -1.425;
-          outerGroup.position.y = shelfTopY + scaledSize.y / 2;
+        sceneObject = {
+          id: objectId,
+          group: outerGroup,
+          originalMaterials: originalMaterials,
+          bounds: scaledSize,
+          objPath: objPath,
+          product: product, // Product definition (connectors, color zones)
+          colors: colors, // Color per zone name
+          color: colors[product.colorZones[0].name], // First zone color
+          colorB: product.colorZones.length > 1 ? colors[product.colorZones[1].name] : null, // Second zone color
+          rotation: {
+            x: innerGroup.rotation.x,
+            y: innerGroup.rotation.y,
+            z: innerGroup.rotation.z
+          },
+          scale: baseScale,
+          tierIndex: tierIndex, // Shelf tier the object stands on
+          fillCount: product.holds ? Math.max(0, Math.min(product.holds.capacity, options.fill || 0)) : null,
+          baseShelfY: outerGroup.position.y, // Store original shelf Y position
+          name: options.name || objectId // Store product name for modal display
+        };
 
-          // Move MagCase_modular_stand objects closer to front edge of shelf
-          if (decodeURIComponent(objPath).toLowerCase().replace(/[_\s]/g, '-').includes('modular-stand')) {
-            outerGroup.position.z = 0.025;
-          }
+        this.sceneObjects.push(sceneObject);
+        this.scene.add(outerGroup);
 
-          if (typeof options.positionX === 'number') {
-            outerGroup.position.x = options.positionX;
-          } else {
-            outerGroup.position.x = this.calculateNextPosition(scaledSize.x);
-          }
+        if (product.holds) {
+          this.updateFillIndicator(sceneObject);
+        }
 
-          const sceneObject = {
-            id: objectId,
-            group: outerGroup,
-            originalMaterials: originalMaterials,
-            bounds: scaledSize,
-            objPath: objPath,
-            color: color,
-            baseShelfY: outerGroup.position.y, // Store original shelf Y position
-            name: options.name || objectId // Store product name for modal display
-          };
-
-          this.sceneObjects.push(sceneObject);
-          this.scene.add(outerGroup);
-
-          // Initialize shader uniforms for split-color materials
-          if (useSplitColor) {
-            this.updateSplitColorShaderUniforms(sceneObject);
-          }
+        // Initialize the zone plane position for split-color materials
+        this.updateSplitColorShaderUniforms(sceneObject);
 
-          // Initialize weighted-base slots if this is a weighted-base and depth is known
-          const isWeightedBase = decodeURIComponent(objPath).toLowerCase().replace(/[_\s]/g, '-').includes('weighted-base');
-          if (isWeightedBase && this.assembledDepth !== null) {
-            this.initializeWeightedBaseSlots(sceneObject);
-          }
+        // Initialize row connector slots if the slot spacing is already known
+        const rowConnector = this.getRowConnector(sceneObject);
+        if (rowConnector && this.getSlotSpacing(rowConnector)) {
+          this.initializeConnectorSlots(sceneObject);
+        }
 
-          const event = new CustomEvent('objectAdded', {
-            detail: { id: objectId, object: sceneObject }
+        if (this.isRecordingHistory()) {
+          this.recordCommand({
+            type: 'add',
+            objects: [sceneObject],
+            undo: () => this.detachSceneObject(sceneObject),
+            redo: () => this.attachSceneObject(sceneObject)
           });
-          this.container.dispatchEvent(event);
+        }
 
-          resolve(sceneObject);
-        },
-        null,
-        reject
-      );
+        const event = new CustomEvent('objectAdded', {
+          detail: { id: objectId, object: sceneObject }
+        });
+        this.container.dispatchEvent(event);
+
+        return sceneObject;
+      } catch (error) {
+        // A failed add must not keep a half-built object or its model cache reference alive
+        if (sceneObject) {
+          this.detachSceneObject(sceneObject);
+          this.disposeSceneObjectIfUnused(sceneObject);
+        } else {
+          this.releaseModel(objPath);
+        }
+        throw error;
+      }
     });
   }
 
   /**
-   * Calculate the next available X position for a new object (NEW)
+   * Calculate the next available X position for a new object on a tier (NEW)
    */
-  calculateNextPosition(objectWidth) {
-    if (this.sceneObjects.length === 0) {
+  calculateNextPosition(objectWidth, tierIndex = 0) {
+    const tierObjects = this.sceneObjects.filter(obj => obj.tierIndex === tierIndex);
+    if (tierObjects.length === 0) {
       return 0;
     }
 
     let rightmostEdge = -Infinity;
-    this.sceneObjects.forEach(obj => {
+    tierObjects.forEach(obj => {
       const rightEdge = obj.group.position.x + obj.bounds.x / 2;
       if (rightEdge > rightmostEdge) {
         rightmostEdge = rightEdge;
@@ -1920,7 +3099,7 @@ class OBJViewer {
     const padding = 0.3;
     const newX = rightmostEdge + padding + objectWidth / 2;
 
-    const halfShelf = this.config.shelfWidth / 2;
+    const halfShelf = this.shelfTiers[tierIndex].width / 2;
     return Math.min(newX, halfShelf - objectWidth / 2);
   }
 
@@ -1932,142 +3111,2104 @@ class OBJViewer {
     if (index === -1) return false;
 
     const obj = this.sceneObjects[index];
-
-    if (this.selectedObject === obj) {
-      this.deselectObject();
+    const before = this.capturePlacements();
+
+    this.detachSceneObject(obj);
+
+    if (this.isRecordingHistory()) {
+      // Keep the object's geometry alive so the removal can be undone
+      this.recordCommand({
+        type: 'remove',
+        objects: [obj],
+        undo: () => {
+          this.attachSceneObject(obj, index);
+          this.restorePlacements(before);
+        },
+        redo: () => this.detachSceneObject(obj)
+      });
+    } else {
+      this.disposeSceneObjectIfUnused(obj);
     }
 
-    // Handle weighted-base removal (NEW - Multi-Slot Feature)
-    const isWeightedBase = decodeURIComponent(obj.objPath).toLowerCase().replace(/[_\s]/g, '-').includes('weighted-base');
-    if (isWeightedBase) {
-      // Unsnap all MagCaseAssembled objects in this weighted-base's slots
-      const slots = this.weightedBaseSlots.get(obj.id);
-      if (slots) {
-        slots.forEach(slot => {
-          if (slot.assembledObj) {
-            this.unsnapObject(slot.assembledObj);
-          }
+    return true;
+  }
+
+  /**
+   * Take an object out of the scene and its snap bookkeeping without disposing it
+   * @param {Object} obj - The scene object to detach
+   */
+  detachSceneObject(obj) {
+    const index = this.sceneObjects.indexOf(obj);
+    if (index === -1) return;
+
+    if (this.selectedObject === obj) {
+      this.deselectObject();
+    }
+
+    // Return anything snapped onto this object (stand or weighted-base slots) to the shelf
+    this.sceneObjects.forEach(other => {
+      const slotInfo = this.assembledToSlot.get(other.id);
+      if (slotInfo && slotInfo.baseId === obj.id) {
+        this.unsnapObject(other);
+      }
+    });
+    this.weightedBaseSlots.delete(obj.id);
+
+    // Free its own slot if it sits in a weighted-base or on a stand
+    this.releaseSnap(obj);
+    this.clearChainLinks(obj);
+
+    this.scene.remove(obj.group);
+    this.sceneObjects.splice(index, 1);
+
+    const event = new CustomEvent('objectRemoved', { detail: { id: obj.id } });
+    this.container.dispatchEvent(event);
+  }
+
+  /**
+   * Put a previously detached object back into the scene
+   * @param {Object} obj - The scene object to attach
+   * @param {number} index - Position in sceneObjects to restore (defaults to the end)
+   */
+  attachSceneObject(obj, index = this.sceneObjects.length) {
+    if (this.sceneObjects.includes(obj)) return;
+
+    this.sceneObjects.splice(Math.min(index, this.sceneObjects.length), 0, obj);
+    this.scene.add(obj.group);
+
+    const rowConnector = this.getRowConnector(obj);
+    if (rowConnector && this.getSlotSpacing(rowConnector)) {
+      this.initializeConnectorSlots(obj);
+    }
+
+    const event = new CustomEvent('objectAdded', {
+      detail: { id: obj.id, object: obj }
+    });
+    this.container.dispatchEvent(event);
+  }
+
+  /**
+   * Free an object's GPU resources unless it is still in the scene or held by the undo history
+   * @param {Object} obj - The scene object to dispose
+   */
+  disposeSceneObjectIfUnused(obj) {
+    if (obj.disposed || this.sceneObjects.includes(obj) || this.isReferencedByHistory(obj)) return;
+
+    // Materials are the object's own; model geometry is shared through the model cache
+    obj.group.traverse(child => {
+      if (child instanceof THREE.Mesh) {
+        if (child.userData.overlay) {
+          child.geometry.dispose();
+        }
+        child.material.dispose();
+      }
+    });
+    this.releaseModel(obj.objPath);
+    obj.disposed = true;
+  }
+
+  /**
+   * Get a copy of a model for a new scene object. Each path is fetched and parsed once; concurrent
+   * requests share the same load, and every copy shares the parsed geometry. Pair each call with
+   * releaseModel().
+   * @param {string} modelPath - Path to the model file
+   * @returns {Promise} - Resolves with a clone of the parsed model (materials still shared; replace them)
+   */
+  acquireModel(modelPath) {
+    let entry = this.modelCache.get(modelPath);
+    if (!entry) {
+      entry = { promise: null, template: null, users: 0 };
+      entry.promise = this.loadModelFile(modelPath).then(template => {
+        entry.template = template;
+        return template;
+      });
+      this.modelCache.set(modelPath, entry);
+    }
+
+    entry.users++;
+    return entry.promise.then(template => template.clone(), error => {
+      this.releaseModel(modelPath);
+      throw error;
+    });
+  }
+
+  /**
+   * Drop one use of a cached model, disposing its shared geometry once nothing uses it
+   * @param {string} modelPath - Path the model was acquired with
+   */
+  releaseModel(modelPath) {
+    const entry = this.modelCache.get(modelPath);
+    if (!entry) return;
+
+    entry.users--;
+    if (entry.users > 0) return;
+
+    this.modelCache.delete(modelPath);
+    if (entry.template) {
+      this.disposeModelTemplate(entry.template);
+    }
+  }
+
+  /**
+   * Free a cached model's geometry and the materials its loader created
+   * @param {THREE.Object3D} template - Parsed model kept in the model cache
+   */
+  disposeModelTemplate(template) {
+    template.traverse(child => {
+      if (child.geometry) {
+        child.geometry.dispose();
+      }
+      if (child.material) {
+        (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => {
+          if (material.map) material.map.dispose();
+          material.dispose();
+        });
+      }
+    });
+  }
+
+  /**
+   * Clear all objects from the scene (NEW)
+   */
+  clearAllObjects() {
+    const removed = this.sceneObjects.slice();
+    const before = this.capturePlacements();
+
+    this.detachAllObjects();
+
+    if (removed.length > 0 && this.isRecordingHistory()) {
+      this.recordCommand({
+        type: 'clear',
+        objects: removed,
+        undo: () => {
+          removed.forEach((obj, index) => this.attachSceneObject(obj, index));
+          this.restorePlacements(before);
+        },
+        redo: () => this.clearAllObjects()
+      });
+    } else {
+      removed.forEach(obj => this.disposeSceneObjectIfUnused(obj));
+    }
+
+    const event = new CustomEvent('allObjectsCleared');
+    this.container.dispatchEvent(event);
+  }
+
+  /**
+   * Take every object out of the scene and its snap and link bookkeeping without disposing them
+   */
+  detachAllObjects() {
+    this.deselectObject();
+
+    this.sceneObjects.forEach(obj => this.scene.remove(obj.group));
+
+    this.sceneObjects = [];
+    this.weightedBaseSlots.clear();
+    this.assembledToSlot.clear();
+    this.chainLinks.clear();
+  }
+
+  /**
+   * Get all scene objects (NEW)
+   */
+  getSceneObjects() {
+    return this.sceneObjects.map(obj => ({
+      id: obj.id,
+      position: { x: obj.group.position.x, y: obj.group.position.y, z: obj.group.position.z },
+      bounds: { x: obj.bounds.x, y: obj.bounds.y, z: obj.bounds.z },
+      objPath: obj.objPath,
+      name: obj.name,
+      color: obj.color,
+      fill: this.getObjectFill(obj)
+    }));
+  }
+
+  // ==========================================
+  // PRODUCT DEFINITIONS
+  // ==========================================
+
+  /**
+   * Look up the product definition for a model path
+   * @param {string} objPath - Model path (URL-encoded or not)
+   * @returns {Object} - The matching definition from OBJViewer.PRODUCT_DEFINITIONS, or OBJViewer.GENERIC_PRODUCT
+   */
+  getProductDefinition(objPath) {
+    const normalizedPath = decodeURIComponent(objPath).toLowerCase().replace(/[-_\s]/g, '');
+    const product = OBJViewer.PRODUCT_DEFINITIONS.find(definition => normalizedPath.includes(definition.match));
+    return product || OBJViewer.GENERIC_PRODUCT;
+  }
+
+  /**
+   * Find the target's connector that accepts an object
+   * @param {Object} target - Scene object that may have connectors
+   * @param {Object} obj - Scene object to plug in
+   * @returns {Object|null} - Connector definition or null
+   */
+  getConnectorFor(target, obj) {
+    if (!obj.product.fits) return null;
+    return target.product.connectors.find(connector => connector.accepts.includes(obj.product.fits)) || null;
+  }
+
+  /**
+   * Get an object's row connector (slots front to back), if it has one
+   * @param {Object} obj - Scene object
+   * @returns {Object|null}
+   */
+  getRowConnector(obj) {
+    return obj.product.connectors.find(connector => connector.layout === 'row') || null;
+  }
+
+  /**
+   * Slot spacing for a row connector: its own slotSpacing, or the depth of the product it accepts
+   * @param {Object} connector - Row connector definition
+   * @returns {number|null} - Spacing in scene units, or null until a fitting product has been measured
+   */
+  getSlotSpacing(connector) {
+    if (connector.slotSpacing) return connector.slotSpacing;
+
+    const depths = connector.accepts.map(kind => this.fitDepths.get(kind)).filter(depth => depth);
+    return depths.length > 0 ? Math.max(...depths) : null;
+  }
+
+  /**
+   * Whether a connector on the target has room for one more object
+   * @param {Object} target - Scene object with the connector
+   * @param {Object} connector - Connector definition
+   * @param {Object} exceptObj - Object to ignore (it may already be snapped there)
+   * @returns {boolean}
+   */
+  hasFreeSlot(target, connector, exceptObj = null) {
+    if (connector.layout === 'row') {
+      const slots = this.weightedBaseSlots.get(target.id);
+      return !!slots && slots.some(slot => slot.assembledObj === null || slot.assembledObj === exceptObj);
+    }
+
+    const occupied = Array.from(this.assembledToSlot.entries()).filter(([snappedId, slotInfo]) =>
+      slotInfo.baseId === target.id && (!exceptObj || snappedId !== exceptObj.id)).length;
+    return occupied < connector.slots;
+  }
+
+  /**
+   * Describe how an object is snapped and how full its own slots are (for objectDoubleClicked)
+   * @param {Object} obj - Scene object
+   * @returns {Object} - { isSnapped, snapType, baseId?, occupiedSlots }
+   */
+  getSnapState(obj) {
+    const snapState = { isSnapped: false, snapType: null, occupiedSlots: 0 };
+
+    const slotInfo = this.assembledToSlot.get(obj.id);
+    if (slotInfo) {
+      const base = this.sceneObjects.find(o => o.id === slotInfo.baseId);
+      const connector = base ? this.getConnectorFor(base, obj) : null;
+      snapState.isSnapped = true;
+      snapState.snapType = connector ? connector.type : null;
+      snapState.baseId = slotInfo.baseId;
+    }
+
+    // Count occupied slots if this object has a row connector
+    const slots = this.weightedBaseSlots.get(obj.id);
+    if (slots) {
+      snapState.occupiedSlots = slots.filter(s => s.assembledObj !== null).length;
+    }
+
+    return snapState;
+  }
+
+  // ==========================================
+  // COLLISION HANDLING
+  // ==========================================
+
+  /**
+   * Choose what happens when a dragged object reaches a neighbour on the shelf
+   * @param {string} mode - 'none' (pass through), 'block' (stop against it) or 'push' (shove it along)
+   */
+  setCollisionMode(mode) {
+    if (!OBJViewer.COLLISION_MODES.includes(mode)) {
+      throw new Error(`Unsupported collision mode: ${mode}`);
+    }
+    this.config.collisionMode = mode;
+  }
+
+  /**
+   * Whether another object is solid for a moving object. Objects resting on a stand or in a
+   * weighted-base travel with it, and an object has to reach a connector that accepts it to snap.
+   * @param {Object} obj - The moving scene object
+   * @param {Object} other - A potential obstacle
+   * @param {number} tierIndex - Tier the moving object is on (default: its current tier)
+   * @returns {boolean}
+   */
+  isCollisionObstacle(obj, other, tierIndex = obj.tierIndex) {
+    if (other === obj || other.tierIndex !== tierIndex) return false;
+    if (this.assembledToSlot.has(other.id)) return false;
+
+    if (this.getConnectorFor(other, obj)) return false;
+
+    return true;
+  }
+
+  /**
+   * Find the obstacles an object would overlap at a given position
+   * @param {Object} obj - The moving scene object
+   * @param {number} x - Candidate X position
+   * @param {number} tierIndex - Candidate tier (default: its current tier)
+   * @returns {Array} - Overlapping scene objects
+   */
+  findCollisions(obj, x, tierIndex = obj.tierIndex) {
+    const halfWidth = obj.bounds.x / 2;
+    return this.sceneObjects.filter(other => {
+      if (!this.isCollisionObstacle(obj, other, tierIndex)) return false;
+      const gap = Math.abs(other.group.position.x - x) - (halfWidth + other.bounds.x / 2);
+      return gap < -OBJViewer.COLLISION_EPSILON;
+    });
+  }
+
+  /**
+   * Move an object along its tier, carrying its linked row and everything snapped to them
+   * @param {Object} obj - The scene object being moved
+   * @param {number} x - Desired X position (clamped to the tier and resolved against collisions)
+   */
+  moveAlongShelf(obj, x) {
+    const allowedX = this.resolveCollisions(obj, this.clampToTier(obj, x));
+    const delta = allowedX - obj.group.position.x;
+
+    this.getChainMembers(obj).forEach(member => {
+      member.group.position.x += delta;
+      this.moveChildrenWithBase(member);
+    });
+  }
+
+  /**
+   * Apply the collision mode to a shelf move. In 'block' mode the object stops against the
+   * first neighbour in its way; in 'push' mode neighbours are shoved along (with anything
+   * snapped or linked to them) until the row reaches the end of the tier.
+   * A linked row moves as one unit. Objects that already overlap it (e.g. the base it was
+   * just lifted out of) never block, so an object can always move clear of them.
+   * @param {Object} obj - The moving scene object
+   * @param {number} targetX - Desired X position, already clamped to the tier
+   * @returns {number} - X position the object may move to
+   */
+  resolveCollisions(obj, targetX) {
+    const mode = this.config.collisionMode;
+    const currentX = obj.group.position.x;
+    if (mode === 'none' || targetX === currentX || this.assembledToSlot.has(obj.id)) {
+      return targetX;
+    }
+
+    const direction = targetX > currentX ? 1 : -1;
+    const moving = this.getChainMembers(obj);
+    const extents = this.getChainExtents(obj);
+    const leadExtent = direction > 0 ? extents.right : extents.left;
+
+    const overlapping = new Set();
+    moving.forEach(member => {
+      this.findCollisions(member, member.group.position.x).forEach(other => overlapping.add(other));
+    });
+
+    // Group obstacles into units so a linked row is stopped or pushed as a whole
+    const units = [];
+    this.sceneObjects
+      .filter(other => this.isCollisionObstacle(obj, other) && !moving.includes(other) && !overlapping.has(other))
+      .forEach(other => {
+        if (units.some(unit => unit.members.includes(other))) return;
+        const members = this.getChainMembers(other);
+        units.push({
+          members: members,
+          left: Math.min(...members.map(m => m.group.position.x - m.bounds.x / 2)),
+          right: Math.max(...members.map(m => m.group.position.x + m.bounds.x / 2))
+        });
+      });
+
+    // Units ahead of the object in the direction of travel, nearest first
+    const nearEdge = unit => (direction > 0 ? unit.left : unit.right);
+    const farEdge = unit => (direction > 0 ? unit.right : unit.left);
+    const leadEdge = currentX + leadExtent;
+    const ahead = units
+      .filter(unit => (nearEdge(unit) - leadEdge) * direction >= -OBJViewer.COLLISION_EPSILON)
+      .sort((a, b) => (nearEdge(a) - nearEdge(b)) * direction);
+
+    if (mode === 'block') {
+      let allowedX = targetX;
+      ahead.forEach(unit => {
+        const contactX = nearEdge(unit) - leadExtent;
+        if ((allowedX - contactX) * direction > 0) {
+          allowedX = contactX;
+        }
+      });
+      return allowedX;
+    }
+
+    // Push: line the units up behind the object's leading edge
+    const tier = this.shelfTiers[obj.tierIndex];
+    const pushRow = (x) => {
+      const moves = [];
+      let edge = x + leadExtent;
+      for (const unit of ahead) {
+        if ((edge - nearEdge(unit)) * direction <= 0) break; // Row doesn't reach this unit
+        const shift = edge - nearEdge(unit);
+        moves.push({ unit, shift });
+        edge = farEdge(unit) + shift;
+      }
+      return { moves, edge };
+    };
+
+    let allowedX = targetX;
+    let row = pushRow(allowedX);
+
+    // Stop the whole row at the end of the tier
+    const overflow = (row.edge - direction * tier.width / 2) * direction;
+    if (overflow > 0) {
+      allowedX -= direction * overflow;
+      row = pushRow(allowedX);
+    }
+
+    row.moves.forEach(({ unit, shift }) => {
+      unit.members.forEach(member => {
+        member.group.position.x += shift;
+        this.moveChildrenWithBase(member);
+      });
+    });
+
+    return allowedX;
+  }
+
+  // ==========================================
+  // MAGNETIC CHAINING
+  // ==========================================
+
+  /**
+   * Get an object's linked row from left to right (just the object itself if it isn't linked)
+   * @param {Object} obj - Scene object
+   * @returns {Array} - Scene objects in the row
+   */
+  getChainMembers(obj) {
+    const findById = id => this.sceneObjects.find(o => o.id === id);
+    const rightNeighbour = member => {
+      const entry = Array.from(this.chainLinks.entries()).find(([, leftId]) => leftId === member.id);
+      return entry ? findById(entry[0]) : null;
+    };
+
+    let head = obj;
+    let left = findById(this.chainLinks.get(head.id));
+    while (left && left !== obj) {
+      head = left;
+      left = findById(this.chainLinks.get(head.id));
+    }
+
+    const members = [head];
+    let next = rightNeighbour(head);
+    while (next && !members.includes(next)) {
+      members.push(next);
+      next = rightNeighbour(next);
+    }
+    return members;
+  }
+
+  /**
+   * Horizontal extent of an object's linked row, relative to the object's center
+   * @param {Object} obj - Scene object
+   * @returns {Object} - { left, right } offsets (left is negative)
+   */
+  getChainExtents(obj) {
+    const members = this.getChainMembers(obj);
+    const x = obj.group.position.x;
+    return {
+      left: Math.min(...members.map(m => m.group.position.x - m.bounds.x / 2)) - x,
+      right: Math.max(...members.map(m => m.group.position.x + m.bounds.x / 2)) - x
+    };
+  }
+
+  /**
+   * Find matching objects whose free side is within snapping distance of an object's linked row
+   * @param {Object} obj - Scene object (with the row it belongs to)
+   * @returns {Set} - IDs of candidates
+   */
+  findChainLinkCandidates(obj) {
+    return new Set(this.getChainLinkOptions(obj)
+      .filter(option => Math.abs(option.gap) < this.snapThreshold)
+      .map(option => option.target.id));
+  }
+
+  /**
+   * Every way an object's linked row could join another row of the same kind
+   * @param {Object} obj - Scene object
+   * @returns {Array} - [{ target, side: 'left'|'right', gap }], gap measured from the row's end
+   */
+  getChainLinkOptions(obj) {
+    const kind = obj.product.links;
+    if (!kind || this.assembledToSlot.has(obj.id)) return [];
+
+    const members = this.getChainMembers(obj);
+    const head = members[0];
+    const tail = members[members.length - 1];
+    const leftEdge = head.group.position.x - head.bounds.x / 2;
+    const rightEdge = tail.group.position.x + tail.bounds.x / 2;
+    const linkedIds = new Set(this.chainLinks.values());
+
+    const options = [];
+    this.sceneObjects.forEach(other => {
+      if (members.includes(other) || other.product.links !== kind) return;
+      if (other.tierIndex !== obj.tierIndex || this.assembledToSlot.has(other.id)) return;
+
+      // The row's left end meets another row's free right end, or its right end a free left end
+      if (!linkedIds.has(other.id)) {
+        options.push({ target: other, side: 'left', gap: leftEdge - (other.group.position.x + other.bounds.x / 2) });
+      }
+      if (!this.chainLinks.has(other.id)) {
+        options.push({ target: other, side: 'right', gap: (other.group.position.x - other.bounds.x / 2) - rightEdge });
+      }
+    });
+    return options;
+  }
+
+  /**
+   * Check whether a dragged object's row is close enough to link with a matching neighbour.
+   * Neighbours it started the drag next to only become linkable once it has moved clear of them.
+   * @param {Object} obj - The dragged scene object
+   * @returns {Object|null} - { target, side, gap } for the closest neighbour, or null
+   */
+  checkChainLink(obj) {
+    let closest = null;
+
+    this.getChainLinkOptions(obj).forEach(option => {
+      const distance = Math.abs(option.gap);
+      if (this.chainLinkExclusions.has(option.target.id)) {
+        const stillNear = this.getChainLinkOptions(obj)
+          .some(o => o.target === option.target && Math.abs(o.gap) < this.snapThreshold);
+        if (!stillNear) this.chainLinkExclusions.delete(option.target.id);
+        return;
+      }
+      if (distance < this.snapThreshold && (!closest || distance < Math.abs(closest.gap))) {
+        closest = option;
+      }
+    });
+
+    return closest;
+  }
+
+  /**
+   * Slide an object's row flush against a neighbour and link the two rows
+   * @param {Object} obj - Scene object in the moving row
+   * @param {Object} link - Result of checkChainLink()
+   */
+  linkToChain(obj, link) {
+    const members = this.getChainMembers(obj);
+    const shift = link.side === 'left' ? -link.gap : link.gap;
+
+    members.forEach(member => {
+      member.group.position.x += shift;
+      this.moveChildrenWithBase(member);
+    });
+
+    if (link.side === 'left') {
+      this.chainLinks.set(members[0].id, link.target.id);
+    } else {
+      this.chainLinks.set(link.target.id, members[members.length - 1].id);
+    }
+  }
+
+  /**
+   * Break an object out of its linked row. Its neighbours stay where they are; if it was in the
+   * middle, the row splits in two.
+   * @param {Object} obj - Scene object to unlink
+   * @returns {boolean} - True if the object was linked
+   */
+  unlinkFromChain(obj) {
+    if (!this.isChained(obj)) return false;
+
+    const before = this.capturePlacements();
+    this.clearChainLinks(obj);
+
+    // Inside a drag the change is recorded together with the move when the drag ends
+    if (!this.isDraggingObject) {
+      this.recordPlacementChange(before, obj);
+    }
+    return true;
+  }
+
+  /**
+   * Drop both of an object's chain links without recording history
+   * @param {Object} obj - Scene object
+   */
+  clearChainLinks(obj) {
+    this.chainLinks.delete(obj.id);
+    Array.from(this.chainLinks.entries())
+      .filter(([, leftId]) => leftId === obj.id)
+      .forEach(([id]) => this.chainLinks.delete(id));
+  }
+
+  /**
+   * Whether an object is part of a linked row
+   * @param {Object} obj - Scene object
+   * @returns {boolean}
+   */
+  isChained(obj) {
+    return this.getChainMembers(obj).length > 1;
+  }
+
+  // ==========================================
+  // FILL LEVELS
+  // ==========================================
+
+  /**
+   * Get how full a holder product (e.g. the 50-card organizer) is
+   * @param {Object} obj - Scene object
+   * @returns {Object|null} - { item, count, capacity, free }, or null if the product holds no items
+   */
+  getObjectFill(obj) {
+    const holds = obj.product.holds;
+    if (!holds) return null;
+    return {
+      item: holds.item,
+      count: obj.fillCount,
+      capacity: holds.capacity,
+      free: holds.capacity - obj.fillCount
+    };
+  }
+
+  /**
+   * Set how many items a holder product contains and update its fill-level visualization
+   * @param {string} objectId - ID of the scene object
+   * @param {number} count - Number of items (clamped to the product's capacity)
+   * @returns {boolean} - True if the fill level changed
+   */
+  setObjectFill(objectId, count) {
+    const obj = this.sceneObjects.find(o => o.id === objectId);
+    if (!obj || !obj.product.holds) return false;
+
+    const newCount = Math.max(0, Math.min(obj.product.holds.capacity, Math.round(count) || 0));
+    const previousCount = obj.fillCount;
+    if (newCount === previousCount) return false;
+
+    obj.fillCount = newCount;
+    this.updateFillIndicator(obj);
+
+    if (this.isRecordingHistory()) {
+      this.recordCommand({
+        type: 'fill',
+        undo: () => this.setObjectFill(objectId, previousCount),
+        redo: () => this.setObjectFill(objectId, newCount)
+      });
+    }
+
+    const event = new CustomEvent('objectFillChanged', {
+      detail: { id: obj.id, object: obj, ...this.getObjectFill(obj) }
+    });
+    this.container.dispatchEvent(event);
+    return true;
+  }
+
+  /**
+   * Rebuild the stack of items shown inside a holder product. Items stand upright and
+   * fill the well from the back, so the stack's depth shows how full the holder is.
+   * @param {Object} obj - Scene object with a holds definition
+   */
+  updateFillIndicator(obj) {
+    const previous = obj.group.getObjectByName('fill-level');
+    if (previous) {
+      obj.group.remove(previous);
+      this.disposeOverlay(previous);
+    }
+
+    const holds = obj.product.holds;
+    if (!holds || obj.fillCount === 0) return;
+
+    const toScene = inches => inches * OBJViewer.REAL_WORLD_SCALE * obj.scale;
+    const wellDepth = obj.bounds.z - toScene(holds.wallThickness * 2);
+    const width = Math.min(toScene(holds.itemSize.width), obj.bounds.x - toScene(holds.wallThickness * 2));
+    const height = toScene(holds.itemSize.height);
+    const depth = Math.min(wellDepth, toScene(holds.itemSize.thickness) * obj.fillCount);
+
+    const stack = new THREE.Mesh(
+      new THREE.BoxGeometry(width, height, depth),
+      new THREE.MeshPhongMaterial({
+        color: OBJViewer.FILL_ITEM_COLOR,
+        transparent: true,
+        opacity: 0.7,
+        shininess: 80,
+        emissive: 0x000000
+      })
+    );
+    stack.name = 'fill-level';
+    stack.userData.overlay = true; // Not part of the product model (keeps its own color)
+    stack.castShadow = true;
+    stack.position.set(
+      0,
+      -obj.bounds.y / 2 + toScene(holds.floorHeight) + height / 2,
+      -wellDepth / 2 + depth / 2
+    );
+
+    obj.group.add(stack);
+  }
+
+  // ==========================================
+  // SCENE SERIALIZATION
+  // ==========================================
+
+  /**
+   * Convert a numeric color to a CSS hex string ('#rrggbb')
+   * @param {number} color - Hex color value
+   * @returns {string}
+   */
+  toHexColorString(color) {
+    return '#' + color.toString(16).padStart(6, '0');
+  }
+
+  /**
+   * Serialize the full shelf layout to a versioned, JSON-compatible document.
+   * Captures model paths, names, colors, transforms, snap/slot relationships, chain links and fill levels.
+   * @returns {Object} - { version, objects: [...] }
+   */
+  serializeScene() {
+    return {
+      version: OBJViewer.SCENE_SCHEMA_VERSION,
+      shelf: { tiers: this.getShelfTiers(), depth: this.config.shelfDepth },
+      objects: this.sceneObjects.map(obj => {
+        const slotInfo = this.assembledToSlot.get(obj.id);
+        return {
+          id: obj.id,
+          name: obj.name,
+          objPath: obj.objPath,
+          color: this.toHexColorString(obj.color),
+          colorB: obj.colorB !== null ? this.toHexColorString(obj.colorB) : null,
+          colors: Object.keys(obj.colors).reduce((colors, zone) => {
+            colors[zone] = this.toHexColorString(obj.colors[zone]);
+            return colors;
+          }, {}),
+          position: { x: obj.group.position.x, y: obj.group.position.y, z: obj.group.position.z },
+          rotation: { x: obj.rotation.x, y: obj.rotation.y, z: obj.rotation.z },
+          scale: obj.scale,
+          tier: obj.tierIndex,
+          snap: slotInfo ? { baseId: slotInfo.baseId, slotIndex: slotInfo.slotIndex } : null,
+          linkedTo: this.chainLinks.get(obj.id) || null,
+          fill: obj.fillCount
+        };
+      })
+    };
+  }
+
+  /**
+   * Replace the current scene with a layout produced by serializeScene().
+   * Replacing a non-empty scene is recorded as one undoable step. If the layout
+   * fails part way (e.g. a model can't be fetched) the previous scene is put back.
+   * Rejections caused by the document itself carry `invalidScene: true`; anything
+   * else is a transient failure and the document may load on a later attempt.
+   * @param {Object|string} json - Scene document or its JSON string
+   * @returns {Promise} - Resolves with the array of restored scene objects
+   */
+  loadScene(json) {
+    let data;
+    try {
+      data = typeof json === 'string' ? JSON.parse(json) : json;
+    } catch (error) {
+      return this.rejectInvalidScene('Invalid scene JSON: ' + error.message);
+    }
+
+    if (!data || typeof data.version !== 'number' || !Array.isArray(data.objects) ||
+        !data.objects.every(entry => entry && typeof entry.objPath === 'string')) {
+      return this.rejectInvalidScene('Invalid scene document');
+    }
+    if (data.version > OBJViewer.SCENE_SCHEMA_VERSION) {
+      return this.rejectInvalidScene(`Unsupported scene schema version: ${data.version}`);
+    }
+
+    this.pendingSceneLoads++;
+    this.isLoadingScene = true;
+
+    // Wait for any load already in progress so two layouts never interleave
+    const load = this.sceneLoadQueue.then(() => this.rebuildScene(data));
+    this.sceneLoadQueue = load.catch(() => {});
+    return load;
+  }
+
+  /**
+   * Clear the scene and rebuild it from a validated scene document (used by loadScene)
+   * @param {Object} data - Scene document
+   * @returns {Promise} - Resolves with the array of restored scene objects
+   */
+  rebuildScene(data) {
+    this.isLoadingScene = true;
+
+    // Keep the replaced scene alive so undo can bring it back
+    const previous = this.captureSceneState();
+    this.detachAllObjects();
+    this.container.dispatchEvent(new CustomEvent('allObjectsCleared'));
+
+    // Older documents have no shelf section and keep the current shelving unit
+    if (data.shelf && Array.isArray(data.shelf.tiers) && data.shelf.tiers.length > 0) {
+      if (typeof data.shelf.depth === 'number' && data.shelf.depth > 0) {
+        this.config.shelfDepth = data.shelf.depth;
+      }
+      this.setShelfTiers(data.shelf.tiers);
+    }
+
+    // Add objects one at a time so every snap target exists before it is referenced
+    const addAll = data.objects.reduce((chain, entry) => chain.then(() => {
+      const addOptions = {
+        id: entry.id,
+        name: entry.name,
+        color: entry.color,
+        scale: entry.scale,
+        rotation: entry.rotation,
+        tier: entry.tier || 0,
+        fill: entry.fill || 0,
+        positionX: entry.position ? entry.position.x : undefined
+      };
+      if (entry.colorB) {
+        addOptions.colorB = entry.colorB;
+      }
+      if (entry.colors) {
+        addOptions.colors = entry.colors;
+      }
+      return this.addObjectToScene(entry.objPath, addOptions);
+    }), Promise.resolve());
+
+    return addAll.then(() => {
+      // Restore free-standing positions first, then snap relationships
+      data.objects.forEach(entry => {
+        const obj = this.sceneObjects.find(o => o.id === entry.id);
+        if (obj && entry.position) {
+          // Compact documents may only carry X; keep the shelf-computed Y/Z in that case
+          ['x', 'y', 'z'].forEach(axis => {
+            if (typeof entry.position[axis] === 'number') {
+              obj.group.position[axis] = entry.position[axis];
+            }
+          });
+          this.updateSplitColorShaderUniforms(obj);
+        }
+      });
+
+      data.objects.forEach(entry => {
+        if (!entry.snap) return;
+        const obj = this.sceneObjects.find(o => o.id === entry.id);
+        const target = this.sceneObjects.find(o => o.id === entry.snap.baseId);
+        if (!obj || !target) {
+          console.warn('Skipping snap for missing object:', entry.id, entry.snap);
+          return;
+        }
+        this.snapToObject(obj, {
+          target: target,
+          slotIndex: entry.snap.slotIndex
+        });
+      });
+
+      data.objects.forEach(entry => {
+        if (!entry.linkedTo) return;
+        if (!this.sceneObjects.some(o => o.id === entry.linkedTo)) {
+          console.warn('Skipping chain link to missing object:', entry.id, entry.linkedTo);
+          return;
+        }
+        this.chainLinks.set(entry.id, entry.linkedTo);
+      });
+
+      this.finishSceneLoad();
+
+      // Each queued load is its own undo step, even while later loads keep isLoadingScene set
+      if (previous.objects.length > 0 && this.history.suspended === 0) {
+        const loaded = this.captureSceneState();
+        this.recordCommand({
+          type: 'load',
+          objects: previous.objects.concat(loaded.objects),
+          undo: () => this.restoreSceneState(previous),
+          redo: () => this.restoreSceneState(loaded)
         });
-        // Remove weighted-base from slots map
-        this.weightedBaseSlots.delete(obj.id);
+      } else {
+        previous.objects.forEach(obj => this.disposeSceneObjectIfUnused(obj));
+      }
+
+      const event = new CustomEvent('sceneLoaded', {
+        detail: { objects: this.sceneObjects.slice() }
+      });
+      this.container.dispatchEvent(event);
+
+      return this.sceneObjects.slice();
+    }, (error) => {
+      // Put the previous scene back rather than leave a half-built layout on screen
+      const partial = this.sceneObjects.filter(obj => !previous.objects.includes(obj));
+      this.restoreSceneState(previous);
+      partial.forEach(obj => this.disposeSceneObjectIfUnused(obj));
+      this.finishSceneLoad();
+      throw error;
+    });
+  }
+
+  /**
+   * Count a loadScene() call as finished. The scene only stops loading once no other load is
+   * queued, so nothing saves or records an intermediate layout in between.
+   */
+  finishSceneLoad() {
+    this.pendingSceneLoads--;
+    this.isLoadingScene = this.pendingSceneLoads > 0;
+  }
+
+  /**
+   * Reject a scene document that can never load, so callers can tell it apart from a transient failure
+   * @param {string} message - Error message
+   * @returns {Promise} - Rejected promise whose error has `invalidScene: true`
+   */
+  rejectInvalidScene(message) {
+    const error = new Error(message);
+    error.invalidScene = true;
+    return Promise.reject(error);
+  }
+
+  /**
+   * Snapshot everything a loaded layout replaces: the objects, their placements and the shelving unit
+   * @returns {Object} - { objects, placements, tiers, depth }
+   */
+  captureSceneState() {
+    return {
+      objects: this.sceneObjects.slice(),
+      placements: this.capturePlacements(),
+      tiers: this.getShelfTiers(),
+      depth: this.config.shelfDepth
+    };
+  }
+
+  /**
+   * Swap the scene for a snapshot from captureSceneState() (undo/redo of a layout load)
+   * @param {Object} state - Scene snapshot
+   */
+  restoreSceneState(state) {
+    this.detachAllObjects();
+    this.container.dispatchEvent(new CustomEvent('allObjectsCleared'));
+
+    this.config.shelfDepth = state.depth;
+    this.setShelfTiers(state.tiers);
+
+    state.objects.forEach((obj, index) => this.attachSceneObject(obj, index));
+    this.restorePlacements(state.placements);
+  }
+
+  /**
+   * Move selected object to a specific X position (NEW)
+   */
+  moveSelectedObjectTo(x) {
+    if (!this.selectedObject) return;
+
+    const before = this.capturePlacements();
+    this.moveAlongShelf(this.selectedObject, x);
+    this.updateSelectionIndicator();
+    this.recordPlacementChange(before, this.selectedObject);
+  }
+
+  /**
+   * Auto-arrange all objects evenly on each shelf tier (NEW)
+   */
+  autoArrangeObjects() {
+    if (this.sceneObjects.length === 0) return;
+
+    const before = this.capturePlacements();
+
+    this.shelfTiers.forEach(tier => {
+      // Snapped objects travel with their stand or weighted-base
+      const tierObjects = this.sceneObjects.filter(obj =>
+        obj.tierIndex === tier.index && !this.assembledToSlot.has(obj.id));
+      if (tierObjects.length === 0) return;
+
+      let totalWidth = 0;
+      tierObjects.forEach(obj => {
+        totalWidth += obj.bounds.x;
+      });
+
+      const availableWidth = tier.width;
+      const spacing = (availableWidth - totalWidth) / (tierObjects.length + 1);
+
+      let currentX = -availableWidth / 2;
+      tierObjects.forEach(obj => {
+        currentX += spacing + obj.bounds.x / 2;
+        obj.group.position.x = currentX;
+        currentX += obj.bounds.x / 2;
+        this.moveChildrenWithBase(obj);
+      });
+    });
+
+    this.updateSelectionIndicator();
+    this.recordPlacementChange(before);
+  }
+
+  /**
+   * Change color of a specific scene object (NEW). A single color paints every color zone.
+   * @param {string} objectId - ID of the scene object
+   * @param {number|string} color - Hex color or CSS hex string
+   * @returns {boolean} - True if the colors changed
+   */
+  setSceneObjectColor(objectId, color) {
+    const obj = this.sceneObjects.find(o => o.id === objectId);
+    if (!obj) return false;
+
+    const colors = {};
+    obj.product.colorZones.forEach(zone => {
+      colors[zone.name] = color;
+    });
+    return this.setSceneObjectColors(objectId, colors);
+  }
+
+  /**
+   * Change the colors of some or all of a scene object's color zones as one undoable step
+   * @param {string} objectId - ID of the scene object
+   * @param {Object} colors - { zoneName: hex color or CSS hex string }; unknown zones are ignored
+   * @returns {boolean} - True if the colors changed
+   */
+  setSceneObjectColors(objectId, colors) {
+    const obj = this.sceneObjects.find(o => o.id === objectId);
+    if (!obj) return false;
+
+    const previousColors = { ...obj.colors };
+    const newColors = { ...obj.colors };
+    Object.keys(colors).forEach(zone => {
+      if (newColors[zone] === undefined) return;
+      const color = colors[zone];
+      newColors[zone] = typeof color === 'string' ? parseInt(color.replace('#', '0x')) : color;
+    });
+    if (Object.keys(newColors).every(zone => newColors[zone] === previousColors[zone])) return false;
+
+    this.applyObjectColors(obj, newColors);
+
+    if (this.isRecordingHistory()) {
+      this.recordCommand({
+        type: 'recolor',
+        undo: () => this.applyObjectColors(obj, previousColors),
+        redo: () => this.applyObjectColors(obj, newColors)
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Replace an object's zone colors, update its materials and notify listeners
+   * @param {Object} obj - Scene object
+   * @param {Object} colors - { zoneName: hex number } for every zone
+   */
+  applyObjectColors(obj, colors) {
+    Object.assign(obj.colors, colors);
+    this.applyZoneColors(obj);
+
+    const event = new CustomEvent('objectColorChanged', {
+      detail: { id: obj.id, object: obj, colors: { ...obj.colors } }
+    });
+    this.container.dispatchEvent(event);
+  }
+
+  // ==========================================
+  // GPU INSTANCING
+  // ==========================================
+
+  /**
+   * Draw product meshes that appear on two or more scene objects (the same cached geometry) with
+   * one InstancedMesh per part. Scene objects keep their own meshes, hidden while instanced, for
+   * raycasting, bounds, snapping and as the source of each instance's transform, colors and
+   * selection highlight. The instance buffers are rebuilt only after a viewer event (see
+   * RENDER_EVENTS) or while an object is being dragged.
+   */
+  updateInstances() {
+    if (!this.config.instancing || !this.instanceGroup) return;
+    if (!this.instancesDirty && !this.isDraggingObject) return;
+    this.instancesDirty = false;
+
+    // Meshes to draw, grouped by shared geometry and zone count
+    const parts = new Map();
+    this.sceneObjects.forEach(obj => {
+      if (!obj.group.visible) return;
+
+      obj.group.updateMatrixWorld(true);
+      obj.group.traverse(child => {
+        if (!this.isInstanceable(child)) return;
+
+        const zoneNames = child.material.userData.zoneNames || [];
+        const key = child.geometry.uuid + ':' + zoneNames.length;
+        if (!parts.has(key)) {
+          parts.set(key, []);
+        }
+        parts.get(key).push(child);
+      });
+    });
+
+    // A part used once draws faster as its own mesh than as a batch of one
+    parts.forEach((meshes, key) => {
+      const instanced = meshes.length >= 2;
+      meshes.forEach(child => {
+        child.visible = !instanced;
+        child.userData.instanced = instanced;
+      });
+      if (!instanced) {
+        parts.delete(key);
+      }
+    });
+
+    // Drop batches whose parts are no longer shared in the scene
+    this.instanceBatches.forEach((batch, key) => {
+      if (!parts.has(key)) {
+        this.disposeInstanceBatch(batch);
+        this.instanceBatches.delete(key);
+      }
+    });
+
+    parts.forEach((meshes, key) => {
+      let batch = this.instanceBatches.get(key);
+      if (!batch || batch.capacity < meshes.length) {
+        const capacity = batch ? Math.max(meshes.length, batch.capacity * 2) : meshes.length;
+        if (batch) {
+          this.disposeInstanceBatch(batch);
+        }
+        batch = this.createInstanceBatch(meshes[0], capacity);
+        this.instanceBatches.set(key, batch);
+      }
+      this.writeInstances(batch, meshes);
+    });
+  }
+
+  /**
+   * Whether a mesh can be drawn as an instance (product parts with a single untextured material)
+   * @param {THREE.Object3D} child - Object inside a scene object's group
+   * @returns {boolean}
+   */
+  isInstanceable(child) {
+    return child.isMesh === true && !child.isInstancedMesh && !child.userData.overlay &&
+      !Array.isArray(child.material) && !child.material.map;
+  }
+
+  /**
+   * Create the InstancedMesh for one product part. The geometry shares the part's vertex buffers
+   * and adds per-instance colors, highlight and zone centers. Zone colors live in a data texture
+   * (one row per instance, one texel per zone), so the attribute and varying count stays the same
+   * however many zones the product has.
+   * @param {THREE.Mesh} source - A mesh of the part (geometry, material settings, shadows)
+   * @param {number} capacity - Number of instances to allocate
+   * @returns {Object} - { mesh, capacity, attributes, zoneCount, zoneColorMap }
+   */
+  createInstanceBatch(source, capacity) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setIndex(source.geometry.index);
+    Object.keys(source.geometry.attributes).forEach(name => {
+      geometry.setAttribute(name, source.geometry.attributes[name]);
+    });
+    source.geometry.groups.forEach(range => geometry.addGroup(range.start, range.count, range.materialIndex));
+
+    const zoneCount = (source.material.userData.zoneNames || []).length;
+    const attributes = {
+      instanceBaseColor: new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3),
+      instanceEmissive: new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3)
+    };
+    let zoneColorMap = null;
+    if (zoneCount > 0) {
+      attributes.instanceZoneCenter = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+      zoneColorMap = new THREE.DataTexture(new Uint8Array(zoneCount * capacity * 4), zoneCount, capacity, THREE.RGBAFormat);
+    }
+    Object.keys(attributes).forEach(name => {
+      attributes[name].setUsage(THREE.DynamicDrawUsage);
+      geometry.setAttribute(name, attributes[name]);
+    });
+    if (zoneCount > 0) {
+      // Row of each instance in the zone color texture (fixed, so not part of `attributes`)
+      const rows = new Float32Array(capacity).map((_, index) => index);
+      geometry.setAttribute('instanceIndex', new THREE.InstancedBufferAttribute(rows, 1));
+    }
+
+    const material = this.createInstanceMaterial(source.material, zoneCount, zoneColorMap);
+    const mesh = new THREE.InstancedMesh(geometry, material, capacity);
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.castShadow = source.castShadow;
+    mesh.receiveShadow = source.receiveShadow;
+    // Instances spread along the shelf; the part's own bounds say nothing about where they are
+    mesh.frustumCulled = false;
+    this.instanceGroup.add(mesh);
+
+    return { mesh, capacity, attributes, zoneCount, zoneColorMap };
+  }
+
+  /**
+   * Create the material for an instanced part: the Phong material of createZoneMaterial(), with the
+   * base color, emissive highlight and zone colors read per instance
+   * @param {THREE.Material} source - The part's material on its scene objects
+   * @param {number} zoneCount - Number of split-plane zones
+   * @param {THREE.DataTexture} zoneColorMap - Zone colors per instance (null without zones)
+   * @returns {THREE.MeshPhongMaterial}
+   */
+  createInstanceMaterial(source, zoneCount, zoneColorMap) {
+    const material = new THREE.MeshPhongMaterial({
+      color: 0xffffff,
+      shininess: source.shininess,
+      side: source.side,
+      flatShading: source.flatShading
+    });
+
+    const zoneUniforms = {};
+    if (zoneCount > 0) {
+      material.defines = { COLOR_ZONE_COUNT: zoneCount };
+      // Zone planes come from the product definition, so every instance shares them
+      zoneUniforms.zoneAxes = { value: source.userData.zoneUniforms.zoneAxes.value.map(axis => axis.clone()) };
+      zoneUniforms.zoneRanges = { value: source.userData.zoneUniforms.zoneRanges.value.map(range => range.clone()) };
+      zoneUniforms.zoneColorMap = { value: zoneColorMap };
+      zoneUniforms.zoneColorRows = { value: zoneColorMap.image.height };
+    }
+
+    material.onBeforeCompile = (shader) => {
+      Object.assign(shader.uniforms, zoneUniforms);
+
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', [
+          '#include <common>',
+          'attribute vec3 instanceBaseColor;',
+          'attribute vec3 instanceEmissive;',
+          'varying vec3 vInstanceBaseColor;',
+          'varying vec3 vInstanceEmissive;',
+          '#ifdef COLOR_ZONE_COUNT',
+          'attribute vec3 instanceZoneCenter;',
+          'attribute float instanceIndex;',
+          'varying vec3 vZoneWorldPosition;',
+          'varying vec3 vZoneCenter;',
+          'varying float vInstanceIndex;',
+          '#endif'
+        ].join('\n'))
+        .replace('#include <worldpos_vertex>', [
+          '#include <worldpos_vertex>',
+          'vInstanceBaseColor = instanceBaseColor;',
+          'vInstanceEmissive = instanceEmissive;',
+          '#ifdef COLOR_ZONE_COUNT',
+          'vZoneWorldPosition = (modelMatrix * instanceMatrix * vec4(transformed, 1.0)).xyz;',
+          'vZoneCenter = instanceZoneCenter;',
+          'vInstanceIndex = instanceIndex;',
+          '#endif'
+        ].join('\n'));
+
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', [
+          '#include <common>',
+          'varying vec3 vInstanceBaseColor;',
+          'varying vec3 vInstanceEmissive;',
+          '#ifdef COLOR_ZONE_COUNT',
+          'uniform vec3 zoneAxes[COLOR_ZONE_COUNT];',
+          'uniform vec2 zoneRanges[COLOR_ZONE_COUNT];',
+          'uniform sampler2D zoneColorMap;',
+          'uniform float zoneColorRows;',
+          'varying vec3 vZoneWorldPosition;',
+          'varying vec3 vZoneCenter;',
+          'varying float vInstanceIndex;',
+          '#endif'
+        ].join('\n'))
+        .replace('vec4 diffuseColor = vec4( diffuse, opacity );', [
+          'vec3 zoneColor = diffuse * vInstanceBaseColor;',
+          '#ifdef COLOR_ZONE_COUNT',
+          'vec3 zoneOffset = vZoneWorldPosition - vZoneCenter;',
+          'float zoneMatched = -1.0;',
+          'for ( int i = 0; i < COLOR_ZONE_COUNT; i ++ ) {',
+          '  float zoneDistance = dot( zoneOffset, zoneAxes[ i ] );',
+          '  if ( zoneMatched < 0.0 && zoneDistance >= zoneRanges[ i ].x && zoneDistance < zoneRanges[ i ].y ) {',
+          '    zoneMatched = float( i );',
+          '  }',
+          '}',
+          'if ( zoneMatched >= 0.0 ) {',
+          '  vec2 zoneTexel = vec2( ( zoneMatched + 0.5 ) / float( COLOR_ZONE_COUNT ), ( vInstanceIndex + 0.5 ) / zoneColorRows );',
+          '  zoneColor = texture2D( zoneColorMap, zoneTexel ).rgb;',
+          '}',
+          '#endif',
+          'vec4 diffuseColor = vec4( zoneColor, opacity );'
+        ].join('\n'))
+        .replace('vec3 totalEmissiveRadiance = emissive;', 'vec3 totalEmissiveRadiance = emissive + vInstanceEmissive;');
+    };
+
+    material.customProgramCacheKey = () => 'instanced-zones-' + zoneCount;
+
+    return material;
+  }
+
+  /**
+   * Copy each mesh's world transform, colors and highlight into a batch's instance buffers
+   * @param {Object} batch - Result of createInstanceBatch()
+   * @param {Array} meshes - The scene objects' meshes for this part, one instance each
+   */
+  writeInstances(batch, meshes) {
+    const { mesh, attributes, zoneCount, zoneColorMap } = batch;
+
+    meshes.forEach((source, index) => {
+      const material = source.material;
+      mesh.setMatrixAt(index, source.matrixWorld);
+      attributes.instanceBaseColor.setXYZ(index, material.color.r, material.color.g, material.color.b);
+      attributes.instanceEmissive.setXYZ(index, material.emissive.r, material.emissive.g, material.emissive.b);
+
+      if (zoneCount > 0) {
+        const zoneUniforms = material.userData.zoneUniforms;
+        const center = zoneUniforms.objectCenter.value;
+        attributes.instanceZoneCenter.setXYZ(index, center.x, center.y, center.z);
+        zoneUniforms.zoneColors.value.forEach((color, zone) => {
+          const texel = (index * zoneCount + zone) * 4;
+          zoneColorMap.image.data[texel] = Math.round(color.r * 255);
+          zoneColorMap.image.data[texel + 1] = Math.round(color.g * 255);
+          zoneColorMap.image.data[texel + 2] = Math.round(color.b * 255);
+          zoneColorMap.image.data[texel + 3] = 255;
+        });
+      }
+    });
+
+    mesh.count = meshes.length;
+    mesh.castShadow = meshes[0].castShadow;
+    mesh.receiveShadow = meshes[0].receiveShadow;
+    mesh.instanceMatrix.needsUpdate = true;
+    Object.keys(attributes).forEach(name => {
+      attributes[name].needsUpdate = true;
+    });
+    if (zoneColorMap) {
+      zoneColorMap.needsUpdate = true;
+    }
+  }
+
+  /**
+   * Remove an instance batch and free its buffers
+   * @param {Object} batch - Result of createInstanceBatch()
+   */
+  disposeInstanceBatch(batch) {
+    this.instanceGroup.remove(batch.mesh);
+
+    // Detach the shared vertex buffers first so disposing only frees the instance attributes
+    const geometry = batch.mesh.geometry;
+    geometry.setIndex(null);
+    Object.keys(geometry.attributes).forEach(name => {
+      if (!geometry.attributes[name].isInstancedBufferAttribute) {
+        geometry.deleteAttribute(name);
+      }
+    });
+    geometry.dispose();
+
+    if (batch.zoneColorMap) {
+      batch.zoneColorMap.dispose();
+    }
+    batch.mesh.material.dispose();
+    batch.mesh.dispose();
+  }
+
+  // ==========================================
+  // ADAPTIVE QUALITY
+  // ==========================================
+
+  /**
+   * Let the frame rate pick the quality tier, or pin one
+   * @param {string} quality - 'auto' or a tier name from OBJViewer.QUALITY_TIERS ('high', 'medium', 'low')
+   */
+  setQuality(quality) {
+    const tierIndex = OBJViewer.QUALITY_TIERS.findIndex(tier => tier.name === quality);
+    if (quality !== 'auto' && tierIndex === -1) {
+      throw new Error(`Unsupported quality tier: ${quality}`);
+    }
+    this.config.quality = quality;
+
+    const governor = this.qualityGovernor;
+    governor.frameTimes = [];
+    governor.lastFrameTime = null;
+    governor.fastWindows = 0;
+    governor.steppedUp = false;
+    governor.windowsToStepUp = OBJViewer.QUALITY_STEP_UP_WINDOWS;
+
+    // 'auto' starts from the current tier (the highest on a new viewer)
+    this.applyQualityTier(quality === 'auto' ? governor.tier : tierIndex);
+  }
+
+  /**
+   * Name of the quality tier currently in use
+   * @returns {string}
+   */
+  getQualityTier() {
+    return OBJViewer.QUALITY_TIERS[this.qualityGovernor.tier].name;
+  }
+
+  /**
+   * Device pixel ratio capped by the current quality tier
+   * @returns {number}
+   */
+  getQualityPixelRatio() {
+    return Math.min(window.devicePixelRatio || 1, OBJViewer.QUALITY_TIERS[this.qualityGovernor.tier].pixelRatio);
+  }
+
+  /**
+   * Apply a quality tier's pixel ratio, shadow map size and shadow type
+   * @param {number} tierIndex - Index into OBJViewer.QUALITY_TIERS
+   */
+  applyQualityTier(tierIndex) {
+    const tier = OBJViewer.QUALITY_TIERS[tierIndex];
+    this.qualityGovernor.tier = tierIndex;
+    this.invalidate();
+
+    if (this.canvasContext) {
+      this.resizeCanvas(this.container.clientWidth, this.container.clientHeight);
+    } else {
+      this.renderer.setPixelRatio(this.getQualityPixelRatio());
+    }
+
+    // Shadow maps are reallocated at the new size on the next shadow pass
+    this.scene.traverse((child) => {
+      if (!child.isLight || !child.shadow) return;
+      if (child.shadow.mapSize.x === tier.shadowMapSize) return;
+      child.shadow.mapSize.set(tier.shadowMapSize, tier.shadowMapSize);
+      if (child.shadow.map) {
+        child.shadow.map.dispose();
+        child.shadow.map = null;
+      }
+    });
+
+    // The shadow type is compiled into every shader, so materials have to be rebuilt. A shared
+    // renderer serves every card, so shared views apply their own type before each draw (see renderSharedView)
+    if (this.qualityGovernor.shadowType !== tier.shadowType) {
+      this.qualityGovernor.shadowType = tier.shadowType;
+      if (!this.config.sharedRenderer) {
+        this.renderer.shadowMap.type = tier.shadowType;
+      }
+      this.scene.traverse((child) => {
+        if (!child.material) return;
+        (Array.isArray(child.material) ? child.material : [child.material]).forEach((material) => {
+          material.needsUpdate = true;
+        });
+      });
+    }
+
+    this.container.dispatchEvent(new CustomEvent('qualityChanged', {
+      detail: { tier: tier.name, pinned: this.config.quality !== 'auto' }
+    }));
+  }
+
+  /**
+   * Quality governor, called once per animation frame. Only frames drawn back to back are timed,
+   * since an idle viewer (render on demand) says nothing about how fast it can draw. Every
+   * QUALITY_SAMPLE_FRAMES frames the average decides: too slow steps one tier down at once,
+   * while stepping up needs several fast windows in a row, and more of them after each step up
+   * that didn't hold. The frame rate targets follow the display's refresh rate, so a 30 Hz
+   * display running at its full rate isn't mistaken for a slow device.
+   * @param {boolean} rendered - Whether this frame was drawn
+   */
+  trackFrameTime(rendered) {
+    const governor = this.qualityGovernor;
+    if (this.config.quality !== 'auto') return;
+
+    // Every animation frame, drawn or idle, narrows down the refresh interval
+    const now = performance.now();
+    if (governor.lastTickTime !== null) {
+      governor.refreshInterval = Math.min(governor.refreshInterval, now - governor.lastTickTime);
+    }
+    governor.lastTickTime = now;
+
+    if (!rendered) {
+      governor.lastFrameTime = null;
+      return;
+    }
+
+    if (governor.lastFrameTime !== null) {
+      governor.frameTimes.push(now - governor.lastFrameTime);
+    }
+    governor.lastFrameTime = now;
+    if (governor.frameTimes.length < OBJViewer.QUALITY_SAMPLE_FRAMES) return;
+
+    const average = governor.frameTimes.reduce((sum, time) => sum + time, 0) / governor.frameTimes.length;
+    governor.frameTimes = [];
+
+    // The targets are for a 60 Hz display; slower displays (down to 30 Hz) get proportionally lower ones
+    const refreshRate = Math.min(Math.max(1000 / governor.refreshInterval, OBJViewer.QUALITY_LOWEST_REFRESH_RATE),
+      OBJViewer.QUALITY_REFERENCE_REFRESH_RATE);
+    const rateScale = refreshRate / OBJViewer.QUALITY_REFERENCE_REFRESH_RATE;
+
+    const lowestTier = OBJViewer.QUALITY_TIERS.length - 1;
+    if (average > 1000 / (OBJViewer.QUALITY_MIN_FPS * rateScale)) {
+      governor.fastWindows = 0;
+      if (governor.tier < lowestTier) {
+        // Dropping right after a step up means the higher tier is too much: wait longer next time
+        if (governor.steppedUp) {
+          governor.windowsToStepUp = Math.min(governor.windowsToStepUp * 2, OBJViewer.QUALITY_MAX_STEP_UP_WINDOWS);
+        }
+        governor.steppedUp = false;
+        governor.lastFrameTime = null; // The tier change itself costs a slow frame
+        this.applyQualityTier(governor.tier + 1);
+      }
+    } else if (average < 1000 / (OBJViewer.QUALITY_HEADROOM_FPS * rateScale)) {
+      governor.steppedUp = false; // The last step up held
+      governor.fastWindows++;
+      if (governor.tier > 0 && governor.fastWindows >= governor.windowsToStepUp) {
+        governor.fastWindows = 0;
+        governor.steppedUp = true;
+        governor.lastFrameTime = null;
+        this.applyQualityTier(governor.tier - 1);
+      }
+    } else {
+      governor.fastWindows = 0;
+    }
+  }
+
+  // ==========================================
+  // IMAGE EXPORT
+  // ==========================================
+
+  /**
+   * Render the current view off-screen at any resolution and encode it as a PNG
+   * @param {Object} options - Export options
+   * @param {number} options.width - Image width in pixels (defaults to the viewer's drawing buffer size,
+   *   or follows the viewer's aspect ratio when only height is given)
+   * @param {number} options.height - Image height in pixels
+   * @param {boolean} options.transparentBackground - Leave out the background color (default: false)
+   * @param {boolean} options.hideSelection - Hide the selection ring, highlight and dimensions (default: true)
+   * @returns {Promise} - Resolves with a PNG Blob
+   */
+  exportImage(options = {}) {
+    const aspect = this.container.clientWidth / this.container.clientHeight;
+    let width = options.width;
+    let height = options.height;
+    if (!width && !height) {
+      width = this.canvas.width;
+      height = this.canvas.height;
+    } else if (!width) {
+      width = height * aspect;
+    } else if (!height) {
+      height = width / aspect;
+    }
+
+    // The GPU can't render larger than its maximum texture size; scale down and keep the aspect ratio
+    const maxSize = this.renderer.capabilities.maxTextureSize;
+    const fit = Math.min(1, maxSize / width, maxSize / height);
+    width = Math.max(1, Math.round(width * fit));
+    height = Math.max(1, Math.round(height * fit));
+
+    const hideSelection = options.hideSelection !== false;
+    const transparentBackground = options.transparentBackground === true;
+    const selected = hideSelection ? this.selectedObject : null;
+
+    // Hide the selection UI for the capture
+    const indicatorWasVisible = this.selectionIndicator.visible;
+    const annotationsWereVisible = this.dimensionAnnotations ? this.dimensionAnnotations.group.visible : false;
+    if (selected) {
+      this.selectionIndicator.visible = false;
+      if (this.dimensionAnnotations) this.dimensionAnnotations.group.visible = false;
+      this.restoreObjectMaterials(selected);
+    }
+
+    const previousBackground = this.scene.background;
+    const previousClearColor = this.renderer.getClearColor(new THREE.Color());
+    const previousClearAlpha = this.renderer.getClearAlpha();
+    if (transparentBackground) {
+      this.scene.background = null;
+      this.renderer.setClearColor(0x000000, 0);
+    }
+
+    const camera = this.camera.clone();
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+
+    // Multisampled targets (WebGL 2) keep edges as smooth as the on-screen antialiasing
+    const targetOptions = { format: THREE.RGBAFormat, type: THREE.UnsignedByteType };
+    const target = this.renderer.capabilities.isWebGL2 && THREE.WebGLMultisampleRenderTarget
+      ? new THREE.WebGLMultisampleRenderTarget(width, height, targetOptions)
+      : new THREE.WebGLRenderTarget(width, height, targetOptions);
+    target.texture.encoding = this.renderer.outputEncoding;
+
+    const pixels = new Uint8Array(width * height * 4);
+    const previousTarget = this.renderer.getRenderTarget();
+    try {
+      // The selection highlight was just removed, so the instance colors are stale
+      this.instancesDirty = true;
+      this.updateInstances();
+      this.applySharedRendererState();
+      this.renderer.setRenderTarget(target);
+      this.renderer.clear();
+      this.renderer.render(this.scene, camera);
+      this.renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+    } finally {
+      this.renderer.setRenderTarget(previousTarget);
+      target.dispose();
+
+      this.scene.background = previousBackground;
+      this.renderer.setClearColor(previousClearColor, previousClearAlpha);
+      if (selected) {
+        this.selectionIndicator.visible = indicatorWasVisible;
+        if (this.dimensionAnnotations) this.dimensionAnnotations.group.visible = annotationsWereVisible;
+        this.highlightObject(selected);
+        this.instancesDirty = true;
+      }
+    }
+
+    return this.encodePNG(pixels, width, height, transparentBackground);
+  }
+
+  /**
+   * Encode pixels read back from WebGL as a PNG Blob
+   * @param {Uint8Array} pixels - RGBA pixels, bottom row first
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @param {boolean} premultiplied - Whether edge pixels were blended against a transparent clear color
+   * @returns {Promise} - Resolves with a PNG Blob
+   */
+  encodePNG(pixels, width, height, premultiplied) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    const imageData = context.createImageData(width, height);
+    const rowSize = width * 4;
+
+    // WebGL rows start at the bottom of the image
+    for (let row = 0; row < height; row++) {
+      const source = pixels.subarray((height - 1 - row) * rowSize, (height - row) * rowSize);
+      imageData.data.set(source, row * rowSize);
+    }
+
+    // Antialiased edges against a transparent background come out darkened; undo that
+    if (premultiplied) {
+      const data = imageData.data;
+      for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3];
+        if (alpha > 0 && alpha < 255) {
+          data[i] = Math.min(255, Math.round(data[i] * 255 / alpha));
+          data[i + 1] = Math.min(255, Math.round(data[i + 1] * 255 / alpha));
+          data[i + 2] = Math.min(255, Math.round(data[i + 2] * 255 / alpha));
+        }
       }
     }
 
-    // Handle MagCaseAssembled removal - free its slot if in weighted-base
-    const slotInfo = this.assembledToSlot.get(obj.id);
-    if (slotInfo) {
-      const slots = this.weightedBaseSlots.get(slotInfo.baseId);
-      if (slots && slots[slotInfo.slotIndex]) {
-        slots[slotInfo.slotIndex].assembledObj = null;
+    context.putImageData(imageData, 0, 0);
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('Could not encode the image as PNG'));
+        }
+      }, 'image/png');
+    });
+  }
+
+  /**
+   * Export the current view as a PNG and download it
+   * @param {string} filename - Name of the downloaded file
+   * @param {Object} options - Same as exportImage(); without a width or height the image is
+   *   OBJViewer.DOWNLOAD_IMAGE_WIDTH pixels wide
+   * @returns {Promise} - Resolves with the PNG Blob once the download has started
+   */
+  downloadImage(filename = 'design.png', options = {}) {
+    if (!options.width && !options.height) {
+      options = Object.assign({}, options, { width: OBJViewer.DOWNLOAD_IMAGE_WIDTH });
+    }
+    return this.exportImage(options).then(blob => {
+      this.downloadBlob(blob, filename);
+      return blob;
+    });
+  }
+
+  /**
+   * Make a page button download the current view as a PNG. The button is disabled while the
+   * image is being created, and failures are reported to the visitor.
+   * @param {HTMLElement} button - Download button
+   * @param {string} filename - Name of the downloaded file
+   * @param {Object} options - Same as downloadImage()
+   */
+  bindImageDownload(button, filename, options = {}) {
+    button.addEventListener('click', () => {
+      button.disabled = true;
+      this.downloadImage(filename, options)
+        .catch(error => {
+          console.error('Failed to export image:', error);
+          alert('Could not create the image: ' + error.message);
+        })
+        .then(() => {
+          button.disabled = false;
+        });
+    });
+  }
+
+  // ==========================================
+  // GLTF EXPORT
+  // ==========================================
+
+  /**
+   * Export the products on the shelf as a binary glTF (GLB) file. Every product keeps its world
+   * transform, name and colors; split-color zones are baked into vertex colors so any glTF viewer
+   * shows them without the zone shader. Requires THREE.GLTFExporter.
+   * @param {Object} options - Export options
+   * @param {boolean} options.includeShelf - Add the shelf boards and their front edges (default: false)
+   * @param {boolean} options.includeWall - Add the back wall (default: false)
+   * @param {boolean} options.includeBrackets - Add the shelf brackets (default: false)
+   * @returns {Promise} - Resolves with a GLB Blob
+   */
+  exportGLB(options = {}) {
+    if (typeof THREE.GLTFExporter === 'undefined') {
+      return Promise.reject(new Error('THREE.GLTFExporter is not loaded'));
+    }
+
+    const exportScene = new THREE.Scene();
+    exportScene.name = 'Shelf Layout';
+    const materials = new Map(); // Source material -> export material
+    const geometries = []; // Geometries baked only for the export
+
+    this.scene.updateMatrixWorld(true);
+
+    this.sceneObjects.forEach(obj => {
+      const node = this.createExportNode(obj.group, obj.group.position, materials, geometries);
+      node.name = obj.name;
+      node.userData = { id: obj.id, colors: { ...obj.colors } };
+      exportScene.add(node);
+    });
+
+    if (this.shelf) {
+      const includedParts = {
+        'shelf-board': options.includeShelf === true,
+        'shelf-edge': options.includeShelf === true,
+        'shelf-bracket': options.includeBrackets === true,
+        'shelf-wall': options.includeWall === true
+      };
+      const shelfNode = new THREE.Group();
+      shelfNode.name = 'Shelf';
+      this.shelf.children.forEach(child => {
+        if (child instanceof THREE.Mesh && includedParts[child.name]) {
+          shelfNode.add(this.createExportNode(child, null, materials, geometries));
+        }
+      });
+      if (shelfNode.children.length > 0) {
+        exportScene.add(shelfNode);
       }
-      this.assembledToSlot.delete(obj.id);
     }
 
-    this.scene.remove(obj.group);
+    const dispose = () => {
+      materials.forEach(material => material.dispose());
+      geometries.forEach(geometry => geometry.dispose());
+    };
 
-    obj.group.traverse(child => {
-      if (child instanceof THREE.Mesh) {
-        child.geometry.dispose();
-        child.material.dispose();
+    return new Promise((resolve, reject) => {
+      try {
+        new THREE.GLTFExporter().parse(exportScene, result => {
+          dispose();
+          resolve(new Blob([result], { type: 'model/gltf-binary' }));
+        }, { binary: true });
+      } catch (error) {
+        dispose();
+        reject(error);
       }
     });
+  }
 
-    this.sceneObjects.splice(index, 1);
+  /**
+   * Copy an object (and its children) for export: placed at its world transform, with standard
+   * materials that glTF understands
+   * @param {THREE.Object3D} source - Object in the viewer's scene
+   * @param {THREE.Vector3|null} zoneCenter - Center that color zones are measured from (null if none)
+   * @param {Map} materials - Export materials by source material (shared between calls)
+   * @param {Array} geometries - Collects the geometries baked for the export
+   * @returns {THREE.Object3D}
+   */
+  createExportNode(source, zoneCenter, materials, geometries) {
+    const node = source.clone();
+    source.matrixWorld.decompose(node.position, node.quaternion, node.scale);
+
+    // clone() keeps the child order, so both trees traverse in step
+    const sources = [];
+    source.traverse(child => sources.push(child));
+    let index = 0;
+    node.traverse(child => {
+      const original = sources[index++];
+      if (!(child instanceof THREE.Mesh)) return;
+
+      // Parts drawn as GPU instances are hidden in the scene, but belong in the file
+      if (original.userData.instanced) {
+        child.visible = true;
+        delete child.userData.instanced;
+      }
 
-    const event = new CustomEvent('objectRemoved', { detail: { id: objectId } });
-    this.container.dispatchEvent(event);
+      const zoneUniforms = original.material.userData.zoneUniforms;
+      if (zoneUniforms && zoneCenter) {
+        child.geometry = this.bakeZoneColors(original, zoneUniforms, zoneCenter, original.material.color);
+        geometries.push(child.geometry);
+      }
 
-    return true;
+      if (!materials.has(original.material)) {
+        materials.set(original.material, new THREE.MeshStandardMaterial({
+          name: original.material.userData.colorZone || original.material.name,
+          color: zoneUniforms && zoneCenter ? 0xffffff : original.material.color,
+          vertexColors: Boolean(zoneUniforms && zoneCenter),
+          roughness: 0.6,
+          metalness: 0,
+          side: original.material.side,
+          transparent: original.material.transparent,
+          opacity: original.material.opacity
+        }));
+      }
+      child.material = materials.get(original.material);
+    });
+
+    return node;
   }
 
   /**
-   * Clear all objects from the scene (NEW)
+   * Bake a zoned mesh's per-fragment colors into a vertex color attribute. Each triangle takes the
+   * color of the zone its center falls in, which keeps the borders between zones crisp.
+   * @param {THREE.Mesh} mesh - Mesh with a zone material (world matrix up to date)
+   * @param {Object} zoneUniforms - The material's userData.zoneUniforms
+   * @param {THREE.Vector3} center - Object center in world space
+   * @param {THREE.Color} defaultColor - Color outside every zone
+   * @returns {THREE.BufferGeometry} - Non-indexed copy of the geometry with a color attribute
    */
-  clearAllObjects() {
-    this.deselectObject();
-
-    this.sceneObjects.forEach(obj => {
-      this.scene.remove(obj.group);
-      obj.group.traverse(child => {
-        if (child instanceof THREE.Mesh) {
-          child.geometry.dispose();
-          child.material.dispose();
+  bakeZoneColors(mesh, zoneUniforms, center, defaultColor) {
+    const geometry = mesh.geometry.index ? mesh.geometry.toNonIndexed() : mesh.geometry.clone();
+    const position = geometry.attributes.position;
+    const colors = new Float32Array(position.count * 3);
+    const vertex = new THREE.Vector3();
+    const offset = new THREE.Vector3();
+
+    for (let first = 0; first + 2 < position.count; first += 3) {
+      offset.set(0, 0, 0);
+      for (let i = first; i < first + 3; i++) {
+        offset.add(vertex.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld));
+      }
+      offset.divideScalar(3).sub(center);
+
+      // Same rule as the zone shader: the first zone whose range contains the point wins
+      let color = defaultColor;
+      for (let zone = 0; zone < zoneUniforms.zoneColors.value.length; zone++) {
+        const distance = offset.dot(zoneUniforms.zoneAxes.value[zone]);
+        const range = zoneUniforms.zoneRanges.value[zone];
+        if (distance >= range.x && distance < range.y) {
+          color = zoneUniforms.zoneColors.value[zone];
+          break;
         }
-      });
+      }
+
+      for (let i = first; i < first + 3; i++) {
+        color.toArray(colors, i * 3);
+      }
+    }
+
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    return geometry;
+  }
+
+  /**
+   * Export the products as a GLB file and download it
+   * @param {string} filename - Name of the downloaded file
+   * @param {Object} options - Same as exportGLB()
+   * @returns {Promise} - Resolves with the GLB Blob once the download has started
+   */
+  downloadGLB(filename = 'design.glb', options = {}) {
+    return this.exportGLB(options).then(blob => {
+      this.downloadBlob(blob, filename);
+      return blob;
     });
+  }
 
-    this.sceneObjects = [];
+  /**
+   * Start a browser download for a Blob
+   * @param {Blob} blob - File contents
+   * @param {string} filename - Name of the downloaded file
+   */
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Revoking right after click() cancels the download in some browsers (Firefox, older Safari)
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
 
-    const event = new CustomEvent('allObjectsCleared');
-    this.container.dispatchEvent(event);
+  // ==========================================
+  // COMMAND HISTORY (UNDO/REDO)
+  // ==========================================
+
+  /**
+   * Whether operations should currently be recorded as undoable commands
+   */
+  isRecordingHistory() {
+    return this.history.suspended === 0 && !this.isLoadingScene;
   }
 
   /**
-   * Get all scene objects (NEW)
+   * Push a reversible command onto the undo stack
+   * @param {Object} command - { type, undo(), redo(), objects? } where objects are scene objects the command keeps alive
    */
-  getSceneObjects() {
-    return this.sceneObjects.map(obj => ({
-      id: obj.id,
-      position: { x: obj.group.position.x, y: obj.group.position.y, z: obj.group.position.z },
-      bounds: { x: obj.bounds.x, y: obj.bounds.y, z: obj.bounds.z },
-      objPath: obj.objPath,
-      color: obj.color
-    }));
+  recordCommand(command) {
+    this.history.undoStack.push(command);
+
+    // A new operation invalidates everything that could have been redone
+    const dropped = this.history.redoStack.splice(0);
+    const overflow = this.history.undoStack.length - this.config.historyLimit;
+    if (overflow > 0) {
+      dropped.push(...this.history.undoStack.splice(0, overflow));
+    }
+    dropped.forEach(cmd => this.releaseCommand(cmd));
+
+    this.dispatchHistoryChanged('record', command);
   }
 
   /**
-   * Move selected object to a specific X position (NEW)
+   * Undo the most recent operation
+   * @returns {boolean} - True if something was undone
    */
-  moveSelectedObjectTo(x) {
-    if (!this.selectedObject) return;
+  undo() {
+    const command = this.history.undoStack.pop();
+    if (!command) return false;
+
+    // Move the command first so the objects it holds are never treated as unused
+    this.history.redoStack.push(command);
+    this.history.suspended++;
+    try {
+      command.undo();
+    } finally {
+      this.history.suspended--;
+    }
 
-    const halfShelf = this.config.shelfWidth / 2;
-    const objectHalfWidth = this.selectedObject.bounds.x / 2;
-    const clampedX = Math.max(-halfShelf + objectHalfWidth, Math.min(halfShelf - objectHalfWidth, x));
+    this.updateSelectionIndicator();
+    this.dispatchHistoryChanged('undo', command);
+    return true;
+  }
+
+  /**
+   * Redo the most recently undone operation
+   * @returns {boolean} - True if something was redone
+   */
+  redo() {
+    const command = this.history.redoStack.pop();
+    if (!command) return false;
+
+    this.history.undoStack.push(command);
+    this.history.suspended++;
+    try {
+      command.redo();
+    } finally {
+      this.history.suspended--;
+    }
 
-    this.selectedObject.group.position.x = clampedX;
     this.updateSelectionIndicator();
+    this.dispatchHistoryChanged('redo', command);
+    return true;
+  }
+
+  canUndo() {
+    return this.history.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.history.redoStack.length > 0;
   }
 
   /**
-   * Auto-arrange all objects evenly on shelf (NEW)
+   * Forget all undoable operations and free any removed objects they were holding
    */
-  autoArrangeObjects() {
-    if (this.sceneObjects.length === 0) return;
+  clearHistory() {
+    const dropped = this.history.undoStack.splice(0).concat(this.history.redoStack.splice(0));
+    dropped.forEach(cmd => this.releaseCommand(cmd));
+    this.dispatchHistoryChanged('clear', null);
+  }
 
-    let totalWidth = 0;
-    this.sceneObjects.forEach(obj => {
-      totalWidth += obj.bounds.x;
-    });
+  /**
+   * Dispose objects held by a command that has left the history
+   */
+  releaseCommand(command) {
+    (command.objects || []).forEach(obj => this.disposeSceneObjectIfUnused(obj));
+  }
 
-    const availableWidth = this.config.shelfWidth;
-    const spacing = (availableWidth - totalWidth) / (this.sceneObjects.length + 1);
+  /**
+   * Check whether any command in the history still holds a scene object
+   */
+  isReferencedByHistory(obj) {
+    const commands = this.history.undoStack.concat(this.history.redoStack);
+    return commands.some(cmd => cmd.objects && cmd.objects.includes(obj));
+  }
 
-    let currentX = -availableWidth / 2;
-    this.sceneObjects.forEach(obj => {
-      currentX += spacing + obj.bounds.x / 2;
-      obj.group.position.x = currentX;
-      currentX += obj.bounds.x / 2;
+  dispatchHistoryChanged(action, command) {
+    const event = new CustomEvent('historyChanged', {
+      detail: {
+        action: action, // 'record' | 'undo' | 'redo' | 'clear'
+        type: command ? command.type : null,
+        canUndo: this.canUndo(),
+        canRedo: this.canRedo()
+      }
     });
+    this.container.dispatchEvent(event);
+  }
 
-    this.updateSelectionIndicator();
+  /**
+   * Snapshot where every object sits and what it is snapped or linked to
+   * @returns {Array} - [{ id, tierIndex, position, snap, linkedTo }]
+   */
+  capturePlacements() {
+    return this.sceneObjects.map(obj => {
+      const slotInfo = this.assembledToSlot.get(obj.id);
+      return {
+        id: obj.id,
+        tierIndex: obj.tierIndex,
+        position: obj.group.position.clone(),
+        snap: slotInfo ? { baseId: slotInfo.baseId, slotIndex: slotInfo.slotIndex } : null,
+        linkedTo: this.chainLinks.get(obj.id) || null
+      };
+    });
   }
 
   /**
-   * Change color of a specific scene object (NEW)
+   * Put objects back where a placement snapshot says they were
+   * @param {Array} placements - Result of capturePlacements() (or a subset of it)
    */
-  setSceneObjectColor(objectId, color) {
-    const obj = this.sceneObjects.find(o => o.id === objectId);
-    if (!obj) return;
+  restorePlacements(placements) {
+    const entries = placements
+      .map(placement => ({ placement, obj: this.sceneObjects.find(o => o.id === placement.id) }))
+      .filter(entry => entry.obj);
+
+    // Release first so restored objects can't collide over the same slot
+    entries.forEach(({ obj }) => this.releaseSnap(obj));
+
+    entries.forEach(({ placement, obj }) => {
+      this.setObjectTier(obj, placement.tierIndex);
+      obj.group.position.copy(placement.position);
+      if (placement.snap) {
+        this.occupySnap(obj, placement.snap.baseId, placement.snap.slotIndex);
+      }
+      if (placement.linkedTo) {
+        this.chainLinks.set(obj.id, placement.linkedTo);
+      } else {
+        this.chainLinks.delete(obj.id);
+      }
+      this.updateSplitColorShaderUniforms(obj);
+    });
 
-    const hexColor = typeof color === 'string' ? parseInt(color.replace('#', '0x')) : color;
-    obj.color = hexColor;
+    this.updateSelectionIndicator();
+  }
 
-    obj.group.traverse(child => {
-      if (child instanceof THREE.Mesh) {
-        child.material.color.setHex(hexColor);
-      }
+  /**
+   * Record the difference between a placement snapshot and the current scene as one undoable command
+   * @param {Array} before - Snapshot taken before the operation
+   * @param {Object} subject - Object the operation was performed on (decides move/snap/unsnap/link/unlink type)
+   * @returns {boolean} - True if anything changed
+   */
+  recordPlacementChange(before, subject = null) {
+    const after = this.capturePlacements();
+    const samePlacement = (a, b) =>
+      a.tierIndex === b.tierIndex &&
+      a.position.equals(b.position) &&
+      a.linkedTo === b.linkedTo &&
+      JSON.stringify(a.snap) === JSON.stringify(b.snap);
+
+    const changed = after.filter(placement => {
+      const previous = before.find(p => p.id === placement.id);
+      return previous && !samePlacement(previous, placement);
     });
+    if (changed.length === 0) return false;
+
+    const changedIds = changed.map(p => p.id);
+    const beforeSubset = before.filter(p => changedIds.includes(p.id));
+
+    let type = 'move';
+    if (subject) {
+      const wasSnap = (before.find(p => p.id === subject.id) || {}).snap || null;
+      const isSnap = (after.find(p => p.id === subject.id) || {}).snap || null;
+      const linkCount = placements => placements.filter(p => p.linkedTo).length;
+      if (isSnap && JSON.stringify(wasSnap) !== JSON.stringify(isSnap)) {
+        type = 'snap';
+      } else if (wasSnap && !isSnap) {
+        type = 'unsnap';
+      } else if (linkCount(after) > linkCount(before)) {
+        type = 'link';
+      } else if (linkCount(after) < linkCount(before)) {
+        type = 'unlink';
+      }
+    }
+
+    if (this.isRecordingHistory()) {
+      this.recordCommand({
+        type: type,
+        undo: () => this.restorePlacements(beforeSubset),
+        redo: () => this.restorePlacements(changed)
+      });
+    }
+    return true;
   }
 
   /**
@@ -2075,6 +5216,14 @@ class OBJViewer {
    */
   animate() {
     this.animationFrameId = requestAnimationFrame(() => this.animate());
+    this.renderFrame();
+  }
+
+  /**
+   * Advance auto-rotation and draw one frame
+   */
+  renderFrame() {
+    if (this.isRenderingPaused()) return;
 
     // Auto-rotate if enabled and not being dragged
     // Rotate camera around scene instead of rotating models
@@ -2086,7 +5235,124 @@ class OBJViewer {
       this.updateCameraPosition();
     }
 
+    // Keep drawing while the camera or an object is being dragged
+    if (this.controls.isDragging || this.isDraggingObject) {
+      this.needsRender = true;
+    }
+    if (!this.needsRender) {
+      this.trackFrameTime(false);
+      return;
+    }
+    this.needsRender = false;
+
+    this.updateInstances();
+    if (this.canvasContext) {
+      this.renderSharedView();
+    } else {
+      this.renderer.render(this.scene, this.camera);
+    }
+    this.trackFrameTime(true);
+  }
+
+  /**
+   * Ask for a new frame. The viewer only renders when something changed: camera moves, drags,
+   * selection, resizes, model loads, scene edits and auto-rotation all invalidate the view.
+   */
+  invalidate() {
+    this.needsRender = true;
+  }
+
+  /**
+   * Pause rendering while the viewer is scrolled out of view or its tab is hidden
+   */
+  setupRenderPausing() {
+    if (typeof IntersectionObserver !== 'undefined') {
+      this.visibilityObserver = new IntersectionObserver((entries) => {
+        this.isInView = entries[entries.length - 1].isIntersecting;
+        this.updateRenderLoop();
+      });
+      this.visibilityObserver.observe(this.container);
+    }
+
+    this.visibilityHandler = () => {
+      this.isPageVisible = !document.hidden;
+      this.updateRenderLoop();
+    };
+    document.addEventListener('visibilitychange', this.visibilityHandler);
+  }
+
+  /**
+   * Whether rendering is paused (off-screen or hidden tab)
+   * @returns {boolean}
+   */
+  isRenderingPaused() {
+    return !this.isInView || !this.isPageVisible;
+  }
+
+  /**
+   * Stop the animation loop while paused and restart it (with a fresh frame) once visible again.
+   * Shared views skip their frames while paused; the shared loop stops once every view is paused.
+   */
+  updateRenderLoop() {
+    if (this.isRenderingPaused()) {
+      if (this.animationFrameId) {
+        cancelAnimationFrame(this.animationFrameId);
+        this.animationFrameId = null;
+      }
+      return;
+    }
+
+    this.invalidate();
+    if (this.config.sharedRenderer) {
+      OBJViewer.startSharedRenderLoop();
+    } else if (!this.animationFrameId) {
+      this.animate();
+    }
+  }
+
+  /**
+   * Put this view's shadow settings on the shared renderer before it draws for this view
+   * (a viewer with its own renderer keeps them there already)
+   */
+  applySharedRendererState() {
+    if (!this.config.sharedRenderer) return;
+    this.renderer.shadowMap.enabled = this.config.shelfVisible;
+    this.renderer.shadowMap.type = this.qualityGovernor.shadowType;
+  }
+
+  /**
+   * Draw this viewer's scene with the shared renderer and copy it into the viewer's 2D canvas
+   */
+  renderSharedView() {
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    if (width === 0 || height === 0) return;
+
+    // The shared canvas grows to fit the largest view; each view draws into its bottom-left corner
+    const size = this.renderer.getSize(new THREE.Vector2());
+    if (size.x < width || size.y < height) {
+      this.renderer.setSize(Math.max(size.x, width), Math.max(size.y, height), false);
+    }
+    this.renderer.setViewport(0, 0, width, height);
+    this.applySharedRendererState();
     this.renderer.render(this.scene, this.camera);
+
+    // WebGL counts rows from the bottom, the 2D canvas from the top
+    const source = this.renderer.domElement;
+    this.canvasContext.drawImage(source, 0, source.height - height, width, height, 0, 0, width, height);
+  }
+
+  /**
+   * Size the 2D canvas of a shared view to its container at the current quality tier's pixel ratio
+   * @param {number} width - CSS width in pixels
+   * @param {number} height - CSS height in pixels
+   */
+  resizeCanvas(width, height) {
+    const pixelRatio = this.getQualityPixelRatio();
+    this.canvas.width = Math.floor(width * pixelRatio);
+    this.canvas.height = Math.floor(height * pixelRatio);
+    this.canvas.style.width = width + 'px';
+    this.canvas.style.height = height + 'px';
   }
 
   /**
@@ -2100,7 +5366,12 @@ class OBJViewer {
     if (width > 0 && height > 0) {
       this.camera.aspect = width / height;
       this.camera.updateProjectionMatrix();
-      this.renderer.setSize(width, height);
+      this.invalidate();
+      if (this.canvasContext) {
+        this.resizeCanvas(width, height);
+      } else {
+        this.renderer.setSize(width, height);
+      }
     }
   }
 
@@ -2109,6 +5380,7 @@ class OBJViewer {
    */
   setBackgroundColor(color) {
     this.scene.background = new THREE.Color(color);
+    this.invalidate();
   }
 
   /**
@@ -2135,18 +5407,24 @@ class OBJViewer {
     if (this.resizeHandler) {
       window.removeEventListener('resize', this.resizeHandler);
     }
+    if (this.invalidateHandler) {
+      OBJViewer.RENDER_EVENTS.forEach(type => this.container.removeEventListener(type, this.invalidateHandler));
+    }
+    if (this.visibilityHandler) {
+      document.removeEventListener('visibilitychange', this.visibilityHandler);
+    }
+    if (this.visibilityObserver) {
+      this.visibilityObserver.disconnect();
+    }
 
     // Remove canvas event listeners
-    if (this.eventHandlers && this.renderer) {
-      const canvas = this.renderer.domElement;
-      canvas.removeEventListener('mousedown', this.eventHandlers.onMouseDown);
-      canvas.removeEventListener('mousemove', this.eventHandlers.onMouseMove);
-      canvas.removeEventListener('mouseup', this.eventHandlers.onMouseUp);
-      canvas.removeEventListener('mouseleave', this.eventHandlers.onMouseUp);
-      canvas.removeEventListener('touchstart', this.eventHandlers.onTouchStart);
-      canvas.removeEventListener('touchmove', this.eventHandlers.onTouchMove);
-      canvas.removeEventListener('touchend', this.eventHandlers.onTouchEnd);
-      canvas.removeEventListener('touchcancel', this.eventHandlers.onTouchEnd);
+    if (this.eventHandlers && this.canvas) {
+      const canvas = this.canvas;
+      canvas.removeEventListener('pointerdown', this.eventHandlers.onPointerDown);
+      canvas.removeEventListener('pointermove', this.eventHandlers.onPointerMove);
+      canvas.removeEventListener('pointerup', this.eventHandlers.onPointerUp);
+      canvas.removeEventListener('pointercancel', this.eventHandlers.onPointerUp);
+      canvas.removeEventListener('wheel', this.eventHandlers.onWheel);
     }
 
     // Remove keyboard event listener
@@ -2165,6 +5443,12 @@ class OBJViewer {
     }
     
     // Clean up Three.js objects
+    if (this.dimensionAnnotations) {
+      this.scene.remove(this.dimensionAnnotations.group);
+      this.disposeOverlay(this.dimensionAnnotations.group);
+      this.dimensionAnnotations = null;
+    }
+
     if (this.model) {
       this.scene.remove(this.model);
       this.model.traverse((child) => {
@@ -2187,18 +5471,18 @@ class OBJViewer {
       });
     }
 
-    // Clean up scene objects (NEW)
+    // Clean up scene objects (NEW), including any the undo history was keeping alive
+    this.history.suspended++;
     this.clearAllObjects();
+    this.clearHistory();
+    this.instanceBatches.forEach(batch => this.disposeInstanceBatch(batch));
+    this.instanceBatches.clear();
+    this.modelCache.forEach(entry => {
+      if (entry.template) this.disposeModelTemplate(entry.template);
+    });
+    this.modelCache.clear();
 
-    if (this.shelf) {
-      this.scene.remove(this.shelf);
-      this.shelf.traverse((child) => {
-        if (child instanceof THREE.Mesh) {
-          child.geometry.dispose();
-          child.material.dispose();
-        }
-      });
-    }
+    this.disposeShelf();
 
     // Clean up selection indicator (NEW)
     if (this.selectionIndicator) {
@@ -2207,10 +5491,374 @@ class OBJViewer {
       this.selectionIndicator.material.dispose();
     }
     
-    this.renderer.dispose();
+    // The shared renderer is disposed with its last view
+    if (this.config.sharedRenderer) {
+      OBJViewer.detachSharedView(this);
+    } else {
+      this.renderer.dispose();
+    }
     
-    if (this.container && this.container.contains(this.renderer.domElement)) {
-      this.container.removeChild(this.renderer.domElement);
+    if (this.container && this.container.contains(this.canvas)) {
+      this.container.removeChild(this.canvas);
     }
   }
 }
+
+// Version of the document format produced by serializeScene()
+OBJViewer.SCENE_SCHEMA_VERSION = 1;
+
+// Stand-in for an open end of a color zone's range, in scene units
+OBJViewer.ZONE_RANGE_LIMIT = 1e6;
+
+// Color of the toploaders shown inside holder products (clear sleeves)
+OBJViewer.FILL_ITEM_COLOR = 0xdfe9f2;
+
+// Surface height of the bottom shelf tier, in scene units
+OBJViewer.SHELF_TOP_Y = -1.425;
+
+// Clearance above a tier when none is configured, in scene units
+OBJViewer.DEFAULT_TIER_HEIGHT = 3.5;
+
+// Camera target height when looking at the bottom shelf tier
+OBJViewer.SHELF_VIEW_TARGET_Y = -0.5;
+
+/**
+ * Product definitions, matched in order against the model path (lowercased, without spaces,
+ * dashes or underscores). Each definition may declare:
+ * - fits: connector kind the product plugs into (e.g. 'magcase')
+ * - connectors: [{ type, accepts: [kinds], layout: 'single'|'row', slots, slotSpacing?, offsetY?, offsetZ? }]
+ *   'single' rests the object on top of this one; 'row' lines objects up front to back, spaced by
+ *   slotSpacing or by the depth of the first accepted product added
+ * - colorZones: [{ name, label, groups?: [OBJ group names], axis?: 'x'|'y'|'z', min?, max? }]
+ *   Named parts that can be colored separately. A zone claims the meshes named in its groups, or the
+ *   fragments whose distance from the object's center along axis (scene units) lies in [min, max).
+ *   A zone with neither is the default for anything unclaimed. The first zone's color is the object's
+ *   main color.
+ * - rotation: default model rotation { x, y, z }
+ * - shelfZ: front-to-back position on the shelf
+ * - links: magnet kind on the product's sides; products with the same kind link edge-to-edge into a row
+ * - holds: loose items the product is filled with instead of snapped products:
+ *   { item, capacity, itemSize: { width, height, thickness }, floorHeight, wallThickness } (sizes in inches)
+ */
+OBJViewer.PRODUCT_DEFINITIONS = [];
+
+// Fallback for models without a definition: no connectors, nothing snaps to them
+OBJViewer.GENERIC_PRODUCT = {
+  id: 'generic',
+  match: null,
+  fits: null,
+  connectors: [],
+  colorZones: [{ name: 'body', label: 'Color' }],
+  rotation: null,
+  shelfZ: 0,
+  links: null,
+  holds: null
+};
+
+/**
+ * Add a product definition (or replace one with the same id). Later registrations are matched first,
+ * so a specific model can override a broader built-in match.
+ * @param {Object} definition - { id, match, ...see OBJViewer.PRODUCT_DEFINITIONS }
+ * @returns {Object} - The normalized definition
+ */
+OBJViewer.registerProduct = function (definition) {
+  if (!definition || !definition.id || !definition.match) {
+    throw new Error('Product definitions need an id and a match string');
+  }
+
+  const product = {
+    ...OBJViewer.GENERIC_PRODUCT,
+    ...definition,
+    match: definition.match.toLowerCase().replace(/[-_\s]/g, ''),
+    connectors: (definition.connectors || []).map(connector => ({
+      layout: 'single',
+      slots: 1,
+      ...connector,
+      accepts: connector.accepts || []
+    }))
+  };
+
+  OBJViewer.PRODUCT_DEFINITIONS = OBJViewer.PRODUCT_DEFINITIONS.filter(existing => existing.id !== product.id);
+  OBJViewer.PRODUCT_DEFINITIONS.unshift(product);
+  return product;
+};
+
+// Organizers can be previewed with an accent-colored weighted base (the bottom half inch)
+OBJViewer.ORGANIZER_COLOR_ZONES = [
+  { name: 'body', label: 'Body Color' },
+  { name: 'accent', label: 'Base Accent Color', axis: 'y', max: -0.365 }
+];
+
+OBJViewer.registerProduct({
+  id: 'magcase',
+  match: 'MagCaseAssembled',
+  fits: 'magcase',
+  colorZones: [
+    { name: 'front', label: 'Front Color', axis: 'z', min: 0 },
+    { name: 'back', label: 'Back Color', axis: 'z', max: 0 }
+  ]
+});
+
+OBJViewer.registerProduct({
+  id: 'modular-stand',
+  match: 'modular-stand',
+  rotation: { x: -Math.PI / 2, y: 0, z: 0 },
+  shelfZ: 0.025, // Closer to the front edge of the shelf
+  links: 'modular-stand', // Side magnets chain stands into a row
+  connectors: [
+    { type: 'modular-stand', accepts: ['magcase'], layout: 'single', slots: 1, offsetY: 0.025 }
+  ]
+});
+
+OBJViewer.registerProduct({
+  id: 'weighted-base',
+  match: 'weighted-base',
+  rotation: { x: -Math.PI / 2, y: 0, z: 0 },
+  connectors: [
+    // Slots are spaced by MagCase depth; offsetZ nudges the row toward the wall
+    { type: 'weighted-base', accepts: ['magcase'], layout: 'row', slots: 10, offsetZ: -0.075 }
+  ],
+  colorZones: OBJViewer.ORGANIZER_COLOR_ZONES
+});
+
+// Registered after the MagCase organizer so its more specific match wins
+OBJViewer.registerProduct({
+  id: 'toploader-organizer',
+  match: '50-Card Organizer',
+  rotation: { x: -Math.PI / 2, y: 0, z: 0 },
+  colorZones: OBJViewer.ORGANIZER_COLOR_ZONES,
+  holds: {
+    item: 'toploader',
+    capacity: 50,
+    itemSize: { width: 3.5, height: 4.75, thickness: 0.0625 },
+    floorHeight: 0.4,
+    wallThickness: 0.15
+  }
+});
+
+// Ways a dragged object can interact with its neighbours on the shelf
+OBJViewer.COLLISION_MODES = ['none', 'block', 'push'];
+
+// Tolerance for objects that just touch, in scene units
+OBJViewer.COLLISION_EPSILON = 0.001;
+
+// Scene units per model unit in real-world mode (product OBJs are modeled in inches)
+OBJViewer.REAL_WORLD_SCALE = 0.25;
+
+// Width of images from downloadImage() in pixels, unless the caller sets a size (height follows the view's shape)
+OBJViewer.DOWNLOAD_IMAGE_WIDTH = 2400;
+
+// Model file formats by extension, and the THREE loader each format needs (see loadModelFile())
+OBJViewer.MODEL_FORMATS = { obj: 'obj', glb: 'gltf', gltf: 'gltf', stl: 'stl', ply: 'ply' };
+OBJViewer.MODEL_LOADERS = { obj: 'OBJLoader', gltf: 'GLTFLoader', stl: 'STLLoader', ply: 'PLYLoader' };
+
+// Where missing loader scripts are fetched from (same Three.js release as the pages' script tags)
+OBJViewer.LOADER_SCRIPT_BASE_URL = 'https://cdn.jsdelivr.net/npm/three@0.128.0/examples/js/loaders/';
+
+// OBJ parser worker script, next to this file (pages load obj-viewer.js from different folders)
+OBJViewer.PARSER_WORKER_URL = typeof document !== 'undefined' && document.currentScript
+  ? new URL('obj-parser-worker.js', document.currentScript.src).href
+  : null;
+
+// Viewer events that mean the scene changed and needs a new frame (see invalidate())
+OBJViewer.RENDER_EVENTS = [
+  'objectAdded', 'objectRemoved', 'allObjectsCleared', 'objectSelected', 'objectDeselected', 'objectMoved',
+  'objectColorChanged', 'objectFillChanged', 'sceneLoaded', 'shelfChanged', 'historyChanged'
+];
+
+// Gesture recognition (see setupGestures): pixels a pointer moves before a press becomes a drag,
+// longest gap and distance between the taps of a double-tap, how long a still press takes to
+// become a long-press, and how far two pointers move before they count as a pan or pinch
+OBJViewer.GESTURE_MOVE_THRESHOLD = 5;
+OBJViewer.GESTURE_DOUBLE_TAP_INTERVAL = 300; // ms
+OBJViewer.GESTURE_DOUBLE_TAP_DISTANCE = 20;
+OBJViewer.GESTURE_LONG_PRESS_DELAY = 500; // ms
+OBJViewer.GESTURE_MULTI_TOUCH_THRESHOLD = 10;
+
+// Arrow-key move distance in scene units (0.4in), and with Shift held (4in)
+OBJViewer.KEYBOARD_MOVE_STEP = 0.1;
+OBJViewer.KEYBOARD_MOVE_STEP_LARGE = 1;
+
+// Rendering quality tiers from highest to lowest. The pixel ratio is an upper bound on the device's own.
+OBJViewer.QUALITY_TIERS = [
+  { name: 'high', pixelRatio: 2, shadowMapSize: 1024, shadowType: THREE.PCFSoftShadowMap },
+  { name: 'medium', pixelRatio: 1.5, shadowMapSize: 512, shadowType: THREE.PCFShadowMap },
+  { name: 'low', pixelRatio: 1, shadowMapSize: 256, shadowType: THREE.BasicShadowMap }
+];
+
+// Quality governor tuning: frames per sample window, the frame rate below which quality steps
+// down, the frame rate above which there is headroom to step up, and how many windows with
+// headroom in a row a step up takes (doubling up to the maximum after each step up that didn't hold)
+OBJViewer.QUALITY_SAMPLE_FRAMES = 30;
+OBJViewer.QUALITY_MIN_FPS = 45;
+OBJViewer.QUALITY_HEADROOM_FPS = 55;
+OBJViewer.QUALITY_STEP_UP_WINDOWS = 4;
+OBJViewer.QUALITY_MAX_STEP_UP_WINDOWS = 32;
+
+// Refresh rate the frame rate targets above are set for, and the slowest display they scale down to
+OBJViewer.QUALITY_REFERENCE_REFRESH_RATE = 60; // Hz
+OBJViewer.QUALITY_LOWEST_REFRESH_RATE = 30; // Hz
+
+// Renderer shared by viewers created with sharedRenderer: { renderer, views, animationFrameId }
+OBJViewer.sharedRendering = null;
+
+/**
+ * Register a viewer with the page's shared renderer. Mobile browsers cap the number of WebGL
+ * contexts, so card viewers draw one after another through a single renderer and animation loop;
+ * each keeps its own scene, camera, rotation and auto-rotate.
+ * @param {OBJViewer} viewer - Viewer created with the sharedRenderer option
+ * @returns {THREE.WebGLRenderer} - The shared renderer
+ */
+OBJViewer.attachSharedView = function (viewer) {
+  if (!OBJViewer.sharedRendering) {
+    const renderer = new THREE.WebGLRenderer({ antialias: true });
+    renderer.setPixelRatio(1); // Views size their canvases in device pixels already
+    OBJViewer.sharedRendering = { renderer: renderer, views: [], animationFrameId: null };
+  }
+
+  const shared = OBJViewer.sharedRendering;
+  shared.views.push(viewer);
+  OBJViewer.startSharedRenderLoop();
+
+  return shared.renderer;
+};
+
+/**
+ * Start the shared animation loop if it isn't running. The loop stops by itself once every view
+ * is paused (off-screen or hidden tab); a view that becomes visible again restarts it.
+ */
+OBJViewer.startSharedRenderLoop = function () {
+  const shared = OBJViewer.sharedRendering;
+  if (!shared || shared.animationFrameId !== null) return;
+
+  const loop = () => {
+    if (shared.views.every(view => view.isRenderingPaused())) {
+      shared.animationFrameId = null;
+      return;
+    }
+    shared.animationFrameId = requestAnimationFrame(loop);
+    shared.views.forEach(view => view.renderFrame());
+  };
+  shared.animationFrameId = requestAnimationFrame(loop);
+};
+
+/**
+ * Remove a viewer from the shared renderer, disposing the renderer after its last view
+ * @param {OBJViewer} viewer - Viewer created with the sharedRenderer option
+ */
+OBJViewer.detachSharedView = function (viewer) {
+  const shared = OBJViewer.sharedRendering;
+  if (!shared) return;
+
+  shared.views = shared.views.filter(view => view !== viewer);
+  if (shared.views.length > 0) return;
+
+  cancelAnimationFrame(shared.animationFrameId);
+  shared.renderer.dispose();
+  OBJViewer.sharedRendering = null;
+};
+
+// Parser worker shared by every viewer on the page: { worker, pending, nextId }, or false once it failed
+OBJViewer.parserWorker = null;
+
+/**
+ * Parse an OBJ file in the shared parser worker. The geometry comes back as transferred buffers.
+ * @param {ArrayBuffer} buffer - OBJ file contents (copied to the worker, so it stays usable here)
+ * @returns {Promise} - Resolves with the worker's mesh data; rejects when the worker is unavailable or fails
+ */
+OBJViewer.parseOBJInWorker = function (buffer) {
+  if (OBJViewer.parserWorker === false || typeof Worker === 'undefined' || !OBJViewer.PARSER_WORKER_URL) {
+    return Promise.reject(new Error('The OBJ parser worker is not available'));
+  }
+
+  if (!OBJViewer.parserWorker) {
+    let worker;
+    try {
+      worker = new Worker(OBJViewer.PARSER_WORKER_URL);
+    } catch (error) {
+      // e.g. pages opened from file://
+      OBJViewer.parserWorker = false;
+      return Promise.reject(error);
+    }
+
+    const state = { worker: worker, pending: new Map(), nextId: 1 };
+
+    worker.addEventListener('message', (event) => {
+      const request = state.pending.get(event.data.id);
+      if (!request) return;
+
+      state.pending.delete(event.data.id);
+      if (event.data.error) {
+        request.reject(new Error(event.data.error));
+      } else {
+        request.resolve(event.data.meshes);
+      }
+    });
+
+    // The worker script or its Three.js imports didn't load: parse on the main thread from now on
+    worker.addEventListener('error', (event) => {
+      console.warn('OBJ parser worker failed, parsing on the main thread instead:', event.message);
+      OBJViewer.parserWorker = false;
+      worker.terminate();
+      state.pending.forEach(request => request.reject(new Error('The OBJ parser worker failed')));
+      state.pending.clear();
+    });
+
+    OBJViewer.parserWorker = state;
+  }
+
+  const state = OBJViewer.parserWorker;
+  return new Promise((resolve, reject) => {
+    const id = state.nextId++;
+    state.pending.set(id, { resolve, reject });
+    state.worker.postMessage({ id, buffer });
+  });
+};
+
+// Loader scripts requested by loadModelLoader(), by loader name: each resolves once the script has run
+OBJViewer.loaderScripts = new Map();
+
+/**
+ * Make sure the Three.js loader for a model format is available, adding its script to the page
+ * the first time a model needs it. Concurrent requests share the same script load.
+ * @param {string} format - Result of detectModelFormat()
+ * @returns {Promise} - Resolves when THREE has the loader; rejects if the script can't be loaded
+ */
+OBJViewer.loadModelLoader = function (format) {
+  const loaderName = OBJViewer.MODEL_LOADERS[format];
+  if (typeof THREE[loaderName] !== 'undefined') {
+    return Promise.resolve();
+  }
+  if (typeof document === 'undefined') {
+    return Promise.reject(new Error(`THREE.${loaderName} is not loaded (needed for ${format.toUpperCase()} models)`));
+  }
+
+  if (!OBJViewer.loaderScripts.has(loaderName)) {
+    const request = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = OBJViewer.LOADER_SCRIPT_BASE_URL + loaderName + '.js';
+      script.onload = () => {
+        if (typeof THREE[loaderName] === 'undefined') {
+          reject(new Error(`${script.src} did not define THREE.${loaderName}`));
+        } else {
+          resolve();
+        }
+      };
+      script.onerror = () => reject(new Error(`Could not load THREE.${loaderName} from ${script.src}`));
+      document.head.appendChild(script);
+    });
+    // Let a later model try again after a failed (e.g. offline) load
+    request.catch(() => OBJViewer.loaderScripts.delete(loaderName));
+    OBJViewer.loaderScripts.set(loaderName, request);
+  }
+  return OBJViewer.loaderScripts.get(loaderName);
+};
+
+// Length of one supported display unit in inches
+OBJViewer.INCHES_PER_UNIT = { in: 1, cm: 1 / 2.54 };
+
+// Ruler tick spacing per unit: a tick every `minor`, numbered every `major`
+OBJViewer.RULER_TICKS = {
+  in: { minor: 1, major: 6 },
+  cm: { minor: 1, major: 10 }
+};